@@ -0,0 +1,11 @@
+// Project catalog and persona configs shared with the frontend (src/), loaded for
+// routes that build prompts server-side. JSON is loaded through require so the
+// files are traced into the serverless bundle.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+export const PROJECTS = require('../../src/projects.json');
+
+// The same registry the frontend uses (see src/personas/index.js)
+export { PERSONAS, DEFAULT_PERSONA_ID } from '../../src/personas/index.js';
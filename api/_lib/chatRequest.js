@@ -0,0 +1,260 @@
+// Validates requests to /api/openrouter and turns them into OpenRouter payloads.
+//
+// The proxy does not forward arbitrary chat completions: the client sends its conversation
+// plus the context the agent prompt is built from, and the system prompt, tools, model and
+// token limits are all decided here. That keeps the endpoint from being usable as a
+// general-purpose LLM proxy on our key.
+//
+// Request body:
+//   {
+//     purpose: 'chat' | 'summary',
+//     model?, temperature?, stream?,
+//     messages: [{ role: 'user' | 'assistant' | 'system', content }],
+//     context: { personaId, viewedProjectIds, roundCount, summary, tasteProfile, language }
+//   }
+import { PROJECTS, PERSONAS, DEFAULT_PERSONA_ID } from './catalog.js';
+import { buildSystemPrompt, buildSummaryMessages } from '../../src/prompts/index.js';
+import { getToolDefinitions } from '../../src/agentActions.js';
+import { CatalogSearch } from '../../src/catalogSearch.js';
+import { PROFILE_DIMENSIONS, MAX_PROFILE_TERMS, MAX_PROFILE_TERM_LENGTH } from '../../src/tasteProfile.js';
+import { MAX_MESSAGE_LENGTH, MAX_SUMMARY_LENGTH, MAX_REQUEST_MESSAGES, MAX_REQUEST_LENGTH } from '../../src/conversationMemory.js';
+import { LANGUAGES } from '../../src/i18n.js';
+
+// Length limits are shared with the client, which keeps within them (see src/conversationMemory.js
+// and src/tasteProfile.js), so anything over them is refused rather than cut down
+const MAX_ROUND_COUNT = 1000;
+
+const MAX_TOKENS = { chat: 600, summary: 300 };
+const MAX_TEMPERATURE = 1.2;
+const DEFAULT_MODEL = 'google/gemini-2.5-flash-lite';
+
+const ROLES = ['user', 'assistant', 'system'];
+const INTERFACE_NOTE_PREFIX = '(Note from the interface) ';
+
+const PROJECT_IDS = new Set(PROJECTS.map(p => p.id));
+const catalogSearch = new CatalogSearch(PROJECTS);
+
+// Comma-separated OpenRouter model ids the client may choose from; the first is the default
+function allowedModels() {
+  const models = (process.env.OPENROUTER_ALLOWED_MODELS || DEFAULT_MODEL)
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean);
+  return models.length ? models : [DEFAULT_MODEL];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns { value } with the sanitized request, or { errors: [{ field, message }] }
+export function validateChatRequest(body) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!isPlainObject(body)) {
+    return { errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  const purpose = body.purpose === undefined ? 'chat' : body.purpose;
+  if (!['chat', 'summary'].includes(purpose)) {
+    fail('purpose', 'must be "chat" or "summary"');
+  }
+
+  const models = allowedModels();
+  const model = body.model === undefined ? models[0] : body.model;
+  if (!models.includes(model)) {
+    fail('model', `must be one of: ${models.join(', ')}`);
+  }
+
+  let temperature = 0.7;
+  if (body.temperature !== undefined) {
+    if (typeof body.temperature !== 'number' || !Number.isFinite(body.temperature)) {
+      fail('temperature', 'must be a number');
+    } else {
+      temperature = Math.max(0, Math.min(MAX_TEMPERATURE, body.temperature));
+    }
+  }
+
+  const messages = [];
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    fail('messages', 'must be a non-empty array');
+  } else if (body.messages.length > MAX_REQUEST_MESSAGES) {
+    fail('messages', `must contain at most ${MAX_REQUEST_MESSAGES} messages`);
+  } else {
+    let totalLength = 0;
+    body.messages.forEach((message, i) => {
+      const field = `messages[${i}]`;
+      if (!isPlainObject(message) || !ROLES.includes(message.role)) {
+        fail(`${field}.role`, `must be one of: ${ROLES.join(', ')}`);
+        return;
+      }
+      if (typeof message.content !== 'string') {
+        fail(`${field}.content`, 'must be a string');
+        return;
+      }
+      if (message.content.length > MAX_MESSAGE_LENGTH) {
+        fail(`${field}.content`, `must be at most ${MAX_MESSAGE_LENGTH} characters`);
+        return;
+      }
+      totalLength += message.content.length;
+
+      // Only the server writes system prompts. Interface notes (corrections, "returned
+      // from viewing", ...) are kept but clearly marked as coming from the client.
+      messages.push(message.role === 'system'
+        ? { role: 'user', content: INTERFACE_NOTE_PREFIX + message.content }
+        : { role: message.role, content: message.content });
+    });
+    if (totalLength > MAX_REQUEST_LENGTH) {
+      fail('messages', `must total at most ${MAX_REQUEST_LENGTH} characters`);
+    }
+  }
+
+  const context = validateContext(body.context, fail);
+
+  if (errors.length) return { errors };
+  return {
+    value: {
+      purpose,
+      model,
+      temperature,
+      stream: body.stream === true,
+      messages,
+      context
+    }
+  };
+}
+
+function validateContext(rawContext, fail) {
+  const context = {
+    persona: PERSONAS[DEFAULT_PERSONA_ID],
+    viewedProjectIds: [],
+    roundCount: 1,
+    summary: '',
+    tasteProfile: null,
+    language: null
+  };
+  if (rawContext === undefined) return context;
+  if (!isPlainObject(rawContext)) {
+    fail('context', 'must be an object');
+    return context;
+  }
+
+  if (rawContext.personaId !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(PERSONAS, rawContext.personaId)) {
+      fail('context.personaId', 'unknown persona');
+    } else {
+      context.persona = PERSONAS[rawContext.personaId];
+    }
+  }
+
+  if (rawContext.viewedProjectIds !== undefined) {
+    if (!Array.isArray(rawContext.viewedProjectIds) || rawContext.viewedProjectIds.some(id => typeof id !== 'string')) {
+      fail('context.viewedProjectIds', 'must be an array of project ids');
+    } else {
+      // Unknown ids are harmless; just drop them
+      context.viewedProjectIds = [...new Set(rawContext.viewedProjectIds.filter(id => PROJECT_IDS.has(id)))];
+    }
+  }
+
+  if (rawContext.roundCount !== undefined) {
+    if (!Number.isInteger(rawContext.roundCount) || rawContext.roundCount < 0) {
+      fail('context.roundCount', 'must be a non-negative integer');
+    } else {
+      context.roundCount = Math.min(rawContext.roundCount, MAX_ROUND_COUNT);
+    }
+  }
+
+  if (rawContext.summary !== undefined) {
+    if (typeof rawContext.summary !== 'string') {
+      fail('context.summary', 'must be a string');
+    } else if (rawContext.summary.length > MAX_SUMMARY_LENGTH) {
+      fail('context.summary', `must be at most ${MAX_SUMMARY_LENGTH} characters`);
+    } else {
+      context.summary = rawContext.summary;
+    }
+  }
+
+  if (rawContext.tasteProfile !== undefined && rawContext.tasteProfile !== null) {
+    context.tasteProfile = validateTasteProfile(rawContext.tasteProfile, fail);
+  }
+
+  if (rawContext.language !== undefined && rawContext.language !== null) {
+    if (!Object.prototype.hasOwnProperty.call(LANGUAGES, rawContext.language)) {
+      fail('context.language', `must be one of ${Object.keys(LANGUAGES).join(', ')}`);
+    } else {
+      context.language = rawContext.language;
+    }
+  }
+
+  return context;
+}
+
+function validateTasteProfile(rawProfile, fail) {
+  if (!isPlainObject(rawProfile)) {
+    fail('context.tasteProfile', 'must be an object');
+    return null;
+  }
+
+  const profile = {};
+  for (const dimension of PROFILE_DIMENSIONS) {
+    const field = `context.tasteProfile.${dimension}`;
+    const weights = rawProfile[dimension] === undefined ? {} : rawProfile[dimension];
+    if (!isPlainObject(weights)) {
+      fail(field, 'must be an object of term -> weight');
+      continue;
+    }
+
+    const entries = Object.entries(weights);
+    if (entries.length > MAX_PROFILE_TERMS) {
+      fail(field, `must have at most ${MAX_PROFILE_TERMS} terms`);
+      continue;
+    }
+
+    profile[dimension] = {};
+    for (const [term, weight] of entries) {
+      if (term.length > MAX_PROFILE_TERM_LENGTH) {
+        fail(field, `terms must be at most ${MAX_PROFILE_TERM_LENGTH} characters`);
+        break;
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+        fail(`${field}.${term}`, 'must be a number');
+        break;
+      }
+      profile[dimension][term] = Math.max(-1, Math.min(1, weight));
+    }
+  }
+  return profile;
+}
+
+// Builds the OpenRouter chat completions payload for a validated request
+export function buildOpenRouterPayload({ purpose, model, temperature, stream, messages, context }) {
+  const payload = {
+    model,
+    temperature,
+    stream,
+    max_tokens: MAX_TOKENS[purpose]
+  };
+
+  if (purpose === 'summary') {
+    payload.messages = buildSummaryMessages(context.summary, messages);
+    return payload;
+  }
+
+  // Same local search the client runs, on the latest thing the visitor actually said
+  const lastVisitor = [...messages].reverse().find(m => m.role === 'user' && !m.content.startsWith(INTERFACE_NOTE_PREFIX));
+  const searchResults = lastVisitor ? catalogSearch.search(lastVisitor.content) : [];
+
+  const systemPrompt = buildSystemPrompt(context.persona, PROJECTS, context.viewedProjectIds, {
+    roundCount: context.roundCount,
+    summary: context.summary,
+    searchResults,
+    tasteProfile: context.tasteProfile,
+    language: context.language
+  });
+
+  payload.messages = [{ role: 'system', content: systemPrompt }, ...messages];
+  payload.tools = getToolDefinitions();
+  payload.tool_choice = 'required';
+  return payload;
+}
@@ -0,0 +1,137 @@
+// Thin client for the ElevenLabs text-to-speech API, shared by the /api/elevenlabs routes
+// and scripts/prerender-tts.js.
+
+export class ElevenLabsError extends Error {
+  constructor(status, details) {
+    super(`ElevenLabs API error: ${status}`);
+    this.name = 'ElevenLabsError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function speechUrl(path, { modelId, outputFormat }) {
+  // Prepare query parameters
+  const params = new URLSearchParams();
+  if (modelId) params.append('model_id', modelId);
+  if (outputFormat) params.append('output_format', outputFormat);
+
+  return params.toString()
+    ? `https://api.elevenlabs.io/v1/text-to-speech/${path}?${params.toString()}`
+    : `https://api.elevenlabs.io/v1/text-to-speech/${path}`;
+}
+
+async function requestSpeech(url, { apiKey, text }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'audio/mpeg',
+      'Content-Type': 'application/json',
+      'xi-api-key': apiKey
+    },
+    body: JSON.stringify({ text })
+  });
+
+  if (!response.ok) {
+    throw new ElevenLabsError(response.status, await response.text());
+  }
+  return response;
+}
+
+// Starts synthesis on the streaming endpoint and returns the audio as an async iterable
+// of chunks, available as soon as ElevenLabs produces the first one
+export async function streamSpeech({ apiKey, voiceId, text, modelId, outputFormat }) {
+  const url = speechUrl(`${encodeURIComponent(voiceId)}/stream`, { modelId, outputFormat });
+  const response = await requestSpeech(url, { apiKey, text });
+  return response.body;
+}
+
+// Like streamSpeech, but on the with-timestamps endpoint. The iterable yields { audio, alignment }
+// per chunk, where audio is a Buffer and alignment is { characters, starts, ends } (seconds from
+// the start of the clip) for the characters of the text spoken in that chunk, or null.
+export async function streamSpeechWithTimestamps({ apiKey, voiceId, text, modelId, outputFormat }) {
+  const url = speechUrl(`${encodeURIComponent(voiceId)}/stream/with-timestamps`, { modelId, outputFormat });
+  const response = await requestSpeech(url, { apiKey, text });
+  return readTimestampedChunks(response);
+}
+
+// Appends one chunk's character timings to the clip's
+export function appendAlignment(target, alignment) {
+  target.characters.push(...alignment.characters);
+  target.starts.push(...alignment.starts);
+  target.ends.push(...alignment.ends);
+}
+
+async function* readTimestampedChunks(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  // End of the last aligned character, for chunks whose times restart at zero
+  let lastEnd = 0;
+
+  const parseLine = (line) => {
+    const data = JSON.parse(line);
+    const raw = data.alignment;
+    let alignment = null;
+    if (raw && raw.characters && raw.characters.length) {
+      const offset = raw.character_start_times_seconds[0] < lastEnd - 0.05 ? lastEnd : 0;
+      alignment = {
+        characters: raw.characters,
+        starts: raw.character_start_times_seconds.map(t => t + offset),
+        ends: raw.character_end_times_seconds.map(t => t + offset)
+      };
+      lastEnd = alignment.ends[alignment.ends.length - 1];
+    }
+    return { audio: Buffer.from(data.audio_base64 || '', 'base64'), alignment };
+  };
+
+  // One JSON object per line
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield parseLine(line);
+    }
+  }
+  if (buffer.trim()) yield parseLine(buffer);
+}
+
+// Synthesizes the whole clip with timings, as { audio, alignment } where audio is a Buffer and
+// alignment covers every character (see streamSpeechWithTimestamps)
+export async function synthesizeSpeechWithTimestamps(options) {
+  const audioChunks = [];
+  const alignment = { characters: [], starts: [], ends: [] };
+  for await (const chunk of await streamSpeechWithTimestamps(options)) {
+    audioChunks.push(chunk.audio);
+    if (chunk.alignment) appendAlignment(alignment, chunk.alignment);
+  }
+  return { audio: Buffer.concat(audioChunks), alignment };
+}
+
+// Lists the voices available to the account as
+// [{ voiceId, name, gender, accent, age, description, languages, previewUrl }]
+export async function listVoices({ apiKey }) {
+  const response = await fetch('https://api.elevenlabs.io/v1/voices', {
+    headers: { 'xi-api-key': apiKey }
+  });
+
+  if (!response.ok) {
+    throw new ElevenLabsError(response.status, await response.text());
+  }
+
+  const data = await response.json();
+  return (data.voices || []).map(voice => {
+    const labels = voice.labels || {};
+    return {
+      voiceId: voice.voice_id,
+      name: voice.name,
+      gender: labels.gender || null,
+      accent: labels.accent || null,
+      age: labels.age || null,
+      description: labels.description || voice.description || null,
+      // ISO 639-1 codes the voice has been verified in, where ElevenLabs reports them
+      languages: [...new Set((voice.verified_languages || []).map(language => language.language))],
+      previewUrl: voice.preview_url || null
+    };
+  });
+}
@@ -0,0 +1,166 @@
+// Token bucket rate limiting shared by the API routes.
+// Files under api/_lib are not deployed as routes (Vercel skips paths starting with "_").
+//
+// Buckets live in a pluggable store. The default MemoryStore is per serverless instance,
+// which is enough to stop a single runaway script; for limits that hold across instances,
+// back it with a KV database:
+//
+//   import { kv } from '@vercel/kv';
+//   configureRateLimitStore(new KVStore(kv));
+
+// Store interface: async get(key) -> value | null, async set(key, value, ttlSeconds)
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    // Opportunistic cleanup so long-lived instances don't accumulate stale buckets
+    if (this.entries.size > 10000) {
+      const now = Date.now();
+      for (const [k, entry] of this.entries) {
+        if (entry.expiresAt < now) this.entries.delete(k);
+      }
+    }
+  }
+}
+
+// Adapter for Redis-style KV clients (@vercel/kv, @upstash/redis) exposing get(key) and set(key, value, { ex })
+export class KVStore {
+  constructor(client, prefix = 'ratelimit:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), { ex: Math.ceil(ttlSeconds) });
+  }
+}
+
+let store = new MemoryStore();
+
+export function configureRateLimitStore(newStore) {
+  store = newStore;
+}
+
+export class TokenBucketLimiter {
+  // capacity: burst size; refillPerSecond: sustained rate
+  constructor({ name, capacity, refillPerSecond }) {
+    this.name = name;
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+  }
+
+  // Takes `cost` tokens from the bucket for `key`. `scale` multiplies both the burst size and the
+  // sustained rate, for buckets shared by several clients.
+  // Returns { allowed, remaining, retryAfter } where retryAfter is in seconds.
+  // Note: get-then-set is not atomic, so concurrent requests may slightly overdraw a KV-backed bucket.
+  async consume(key, cost = 1, scale = 1) {
+    const bucketKey = `${this.name}:${key}`;
+    const capacity = this.capacity * scale;
+    const refillPerSecond = this.refillPerSecond * scale;
+    const now = Date.now();
+
+    const saved = await store.get(bucketKey);
+    let tokens = capacity;
+    if (saved) {
+      const elapsedSeconds = (now - saved.updatedAt) / 1000;
+      tokens = Math.min(capacity, saved.tokens + elapsedSeconds * refillPerSecond);
+    }
+
+    // A full bucket is the same as no bucket, so entries can expire once they would have refilled
+    const ttlSeconds = Math.max(1, capacity / refillPerSecond);
+
+    if (tokens < cost) {
+      await store.set(bucketKey, { tokens, updatedAt: now }, ttlSeconds);
+      return {
+        allowed: false,
+        remaining: Math.floor(tokens),
+        retryAfter: Math.ceil((cost - tokens) / refillPerSecond)
+      };
+    }
+
+    tokens -= cost;
+    await store.set(bucketKey, { tokens, updatedAt: now }, ttlSeconds);
+    return { allowed: true, remaining: Math.floor(tokens), retryAfter: 0 };
+  }
+}
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Chat turns: bursts of 20, then one every 3 seconds
+export const chatLimiter = new TokenBucketLimiter({
+  name: 'chat',
+  capacity: numberFromEnv('RATE_LIMIT_CHAT_CAPACITY', 20),
+  refillPerSecond: numberFromEnv('RATE_LIMIT_CHAT_REFILL_PER_SECOND', 1 / 3)
+});
+
+// TTS characters: bursts of 3000, then 10 characters per second (~36k per hour)
+export const ttsLimiter = new TokenBucketLimiter({
+  name: 'tts',
+  capacity: numberFromEnv('RATE_LIMIT_TTS_CAPACITY', 3000),
+  refillPerSecond: numberFromEnv('RATE_LIMIT_TTS_REFILL_PER_SECOND', 10)
+});
+
+// Transcribed voice turns: bursts of 20, then one every 3 seconds
+export const transcribeLimiter = new TokenBucketLimiter({
+  name: 'transcribe',
+  capacity: numberFromEnv('RATE_LIMIT_TRANSCRIBE_CAPACITY', 20),
+  refillPerSecond: numberFromEnv('RATE_LIMIT_TRANSCRIBE_REFILL_PER_SECOND', 1 / 3)
+});
+
+// Several visitors can share one IP (e.g. a gallery's wifi), so per-IP buckets are larger and
+// refill faster than per-session ones
+export const IP_SCALE = 4;
+
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Browser session id sent by the frontend (see src/apiClient.js); untrusted, so only used alongside the IP
+export function getSessionId(req) {
+  const session = req.headers['x-session-id'];
+  return session && /^[A-Za-z0-9-]{8,64}$/.test(session) ? session : null;
+}
+
+// Charges `cost` to both the client's IP bucket and its session bucket.
+// Returns the result of whichever bucket ran out, or the session result if both allowed it.
+export async function checkRateLimit(req, limiter, cost = 1) {
+  const ipResult = await limiter.consume(`ip:${getClientIp(req)}`, cost, IP_SCALE);
+  if (!ipResult.allowed) return ipResult;
+
+  const session = getSessionId(req);
+  if (!session) return ipResult;
+  return limiter.consume(`session:${session}`, cost);
+}
+
+export function sendRateLimited(res, result, message = 'Too many requests') {
+  res.setHeader('Retry-After', String(result.retryAfter));
+  return res.status(429).json({
+    error: message,
+    retryAfter: result.retryAfter
+  });
+}
@@ -0,0 +1,122 @@
+// CORS and security headers shared by every API route. Wrap each handler:
+//
+//   export default withApiSecurity(async function handler(req, res) { ... }, { methods: ['POST'] });
+//
+// Allowed origins come from ALLOWED_ORIGINS (comma-separated, e.g.
+// "https://beta.xiaotianfanx.com,https://xiaotianfanx.com"). Origins are parsed as URLs
+// and compared exactly on scheme, host and port, so look-alike hosts such as
+// "https://beta.xiaotianfanx.com.evil.io" never match. Outside production, loopback
+// origins on any port are allowed as well for local development.
+
+const DEFAULT_ALLOWED_ORIGINS = ['https://beta.xiaotianfanx.com'];
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+const DEFAULT_ALLOW_HEADERS = ['Content-Type', 'X-Session-Id'];
+const DEFAULT_EXPOSE_HEADERS = ['Retry-After'];
+// How long browsers may cache a preflight result, in seconds
+const PREFLIGHT_MAX_AGE = 600;
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+  'Referrer-Policy': 'no-referrer',
+  'Cross-Origin-Resource-Policy': 'same-site'
+};
+
+function isProduction() {
+  return process.env.VERCEL_ENV === 'production';
+}
+
+// Normalized "scheme://host[:port]" for a URL string, or null if it does not parse as http(s)
+function parseOrigin(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return url.origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+function allowedOrigins() {
+  const configured = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(entry => parseOrigin(entry.trim()))
+    .filter(Boolean);
+  const origins = new Set(configured.length ? configured : DEFAULT_ALLOWED_ORIGINS);
+
+  // The deployment's own URLs (set by Vercel), so preview deployments can call their own API
+  for (const host of [process.env.VERCEL_URL, process.env.VERCEL_BRANCH_URL]) {
+    if (host) origins.add(`https://${host}`);
+  }
+  return origins;
+}
+
+// The origin a request claims to come from. Browsers send Origin on cross-origin and
+// POST requests; Referer is only a fallback for older clients.
+function requestOrigin(req) {
+  if (req.headers.origin) return parseOrigin(req.headers.origin);
+  if (req.headers.referer) return parseOrigin(req.headers.referer);
+  return null;
+}
+
+export function isOriginAllowed(origin) {
+  if (!origin) return false;
+  if (allowedOrigins().has(origin)) return true;
+  return !isProduction() && LOOPBACK_HOSTS.has(new URL(origin).hostname);
+}
+
+export function withApiSecurity(handler, {
+  methods = ['POST'],
+  allowHeaders = DEFAULT_ALLOW_HEADERS,
+  exposeHeaders = DEFAULT_EXPOSE_HEADERS
+} = {}) {
+  const allowMethods = [...methods, 'OPTIONS'].join(', ');
+
+  return async function secureHandler(req, res) {
+    for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+      res.setHeader(name, value);
+    }
+    if (isProduction()) {
+      res.setHeader('Strict-Transport-Security', 'max-age=63072000; includeSubDomains');
+    }
+    // Responses differ per origin, so shared caches must key on it
+    res.setHeader('Vary', 'Origin');
+
+    const origin = requestOrigin(req);
+    const hasOriginHeader = Boolean(req.headers.origin || req.headers.referer);
+
+    if (origin && isOriginAllowed(origin)) {
+      // Always the exact origin - never "*", which is invalid alongside credentials
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Access-Control-Allow-Methods', allowMethods);
+      res.setHeader('Access-Control-Allow-Headers', allowHeaders.join(', '));
+      if (exposeHeaders.length) {
+        res.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '));
+      }
+    } else if (hasOriginHeader || isProduction()) {
+      // A foreign origin, or (in production) a request that does not say where it comes from
+      return res.status(403).json({ error: 'Forbidden: Origin not allowed' });
+    }
+    // Otherwise a header-less request outside production (curl, server-to-server during development)
+
+    if (req.method === 'OPTIONS') {
+      const requestedMethod = req.headers['access-control-request-method'];
+      if (requestedMethod && !methods.includes(requestedMethod)) {
+        res.setHeader('Allow', allowMethods);
+        return res.status(405).end();
+      }
+      res.setHeader('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE));
+      return res.status(204).end();
+    }
+
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', allowMethods);
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    return handler(req, res);
+  };
+}
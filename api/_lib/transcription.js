@@ -0,0 +1,88 @@
+// Speech-to-text backends for the /api/transcribe route.
+//
+// Provider interface:
+//   async transcribe({ audio, contentType, language }) -> { text, language }
+// where audio is a Buffer holding one recorded clip, contentType its MIME type and language an
+// optional ISO 639-1 hint. Other backends can be plugged in with configureTranscriptionProvider().
+
+export class TranscriptionError extends Error {
+  constructor(status, details) {
+    super(`Transcription API error: ${status}`);
+    this.name = 'TranscriptionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const FILE_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+export const SUPPORTED_AUDIO_TYPES = Object.keys(FILE_EXTENSIONS);
+
+// Any server implementing the OpenAI audio transcriptions API (multipart upload of `file`,
+// `model` and `language`; JSON { text } back): a local whisper.cpp server, faster-whisper
+// servers, or OpenAI itself
+export class WhisperHttpProvider {
+  constructor({ url, apiKey = '', model = 'whisper-1' }) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  async transcribe({ audio, contentType, language }) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: contentType }), `speech.${FILE_EXTENSIONS[contentType] || 'webm'}`);
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (language) form.append('language', language);
+
+    const headers = {};
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(this.url, { method: 'POST', headers, body: form });
+    if (!response.ok) {
+      throw new TranscriptionError(response.status, await response.text());
+    }
+
+    const data = await response.json();
+    return {
+      text: String(data.text || '').trim(),
+      language: data.language || language || null
+    };
+  }
+}
+
+// Builds the provider selected by env vars (see README)
+export function createTranscriptionProvider(env = process.env) {
+  const provider = env.TRANSCRIBE_PROVIDER || 'whisper-http';
+
+  switch (provider) {
+    case 'whisper-http':
+      return new WhisperHttpProvider({
+        url: env.TRANSCRIBE_URL || 'http://127.0.0.1:8081/inference',
+        apiKey: env.TRANSCRIBE_API_KEY || '',
+        model: env.TRANSCRIBE_MODEL || 'whisper-1'
+      });
+    default:
+      throw new Error(`Unknown transcription provider: ${provider}`);
+  }
+}
+
+let provider = null;
+
+export function configureTranscriptionProvider(newProvider) {
+  provider = newProvider;
+}
+
+export function getTranscriptionProvider() {
+  if (!provider) provider = createTranscriptionProvider();
+  return provider;
+}
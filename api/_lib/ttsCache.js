@@ -0,0 +1,122 @@
+// Content-addressed cache of synthesized speech, keyed by ttsCacheKey() from src/tts.js.
+//
+// Clips live in a pluggable store. The default FileSystemStore writes to .cache/tts during
+// local development and to /tmp on Vercel, where it only lasts as long as the instance.
+// For a cache shared across instances (and for clips pre-rendered with
+// scripts/prerender-tts.js), back it with blob storage:
+//
+//   import { put, head } from '@vercel/blob';
+//   configureTtsCacheStore(new BlobStore({ put, head }));
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+
+// Store interface: async get(name) -> Buffer | null, async set(name, buffer, contentType)
+// where name is "<key>.mp3" for audio or "<key>.alignment.json" for word timings
+export class FileSystemStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  filePath(name) {
+    return path.join(this.dir, name);
+  }
+
+  async get(name) {
+    try {
+      return await readFile(this.filePath(name));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async set(name, buffer) {
+    await mkdir(this.dir, { recursive: true });
+    // Write then rename so a concurrent reader never sees a half-written clip
+    const tempPath = `${this.filePath(name)}.${process.pid}.tmp`;
+    await writeFile(tempPath, buffer);
+    await rename(tempPath, this.filePath(name));
+  }
+}
+
+// Adapter for blob storage clients exposing put(pathname, body, options) and head(pathname) -> { url },
+// where head throws for missing blobs (@vercel/blob)
+export class BlobStore {
+  constructor(client, prefix = 'tts/') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(name) {
+    let blob;
+    try {
+      blob = await this.client.head(this.prefix + name);
+    } catch (e) {
+      return null;
+    }
+
+    const response = await fetch(blob.url);
+    if (!response.ok) return null;
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async set(name, buffer, contentType) {
+    await this.client.put(this.prefix + name, buffer, {
+      access: 'public',
+      addRandomSuffix: false,
+      contentType
+    });
+  }
+}
+
+function defaultCacheDir() {
+  if (process.env.TTS_CACHE_DIR) return process.env.TTS_CACHE_DIR;
+  // The deployed filesystem is read-only apart from /tmp
+  return process.env.VERCEL ? '/tmp/tts-cache' : path.join(process.cwd(), '.cache', 'tts');
+}
+
+let store = new FileSystemStore(defaultCacheDir());
+
+export function configureTtsCacheStore(newStore) {
+  store = newStore;
+}
+
+export function getTtsCacheStore() {
+  return store;
+}
+
+// Cache failures must never cost the visitor their audio, so the helpers below swallow errors
+async function readEntry(name) {
+  try {
+    return await store.get(name);
+  } catch (error) {
+    console.error('TTS cache read error:', error);
+    return null;
+  }
+}
+
+async function writeEntry(name, buffer, contentType) {
+  try {
+    await store.set(name, buffer, contentType);
+  } catch (error) {
+    console.error('TTS cache write error:', error);
+  }
+}
+
+export function readCachedSpeech(key) {
+  return readEntry(`${key}.mp3`);
+}
+
+export function writeCachedSpeech(key, buffer) {
+  return writeEntry(`${key}.mp3`, buffer, 'audio/mpeg');
+}
+
+// Character alignment ({ characters, starts, ends }) recorded alongside clips synthesized with timestamps
+export async function readCachedAlignment(key) {
+  const buffer = await readEntry(`${key}.alignment.json`);
+  return buffer ? JSON.parse(buffer.toString('utf8')) : null;
+}
+
+export function writeCachedAlignment(key, alignment) {
+  return writeEntry(`${key}.alignment.json`, Buffer.from(JSON.stringify(alignment)), 'application/json');
+}
@@ -1,57 +1,79 @@
-// Helper function to get allowed origin based on environment
-function getAllowedOrigin(req) {
-  const origin = req.headers.origin || req.headers.referer;
-  const isProduction = process.env.VERCEL_ENV === 'production';
-  
-  // In production, only allow beta.xiaotianfanx.com
-  if (isProduction) {
-    if (origin && origin.includes('beta.xiaotianfanx.com')) {
-      return origin;
-    }
-    return null; // Reject other origins in production
-  }
-  
-  // In development, allow localhost and local dev server
-  if (origin) {
-    if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
-      return origin;
-    }
-  }
-  
-  // Fallback: allow all in development (for local Vercel dev server)
-  return '*';
+import { withApiSecurity } from './_lib/security.js';
+import { ttsLimiter, checkRateLimit, sendRateLimited } from './_lib/rateLimit.js';
+import { readCachedSpeech, writeCachedSpeech, readCachedAlignment, writeCachedAlignment } from './_lib/ttsCache.js';
+import { streamSpeech, streamSpeechWithTimestamps, appendAlignment, ElevenLabsError } from './_lib/elevenlabs.js';
+import { ttsCacheKey } from '../src/tts.js';
+
+// Longest text accepted in one request; longer replies must be split by the client
+const MAX_TEXT_LENGTH = 1000;
+// Voice, model and format ids end up in the upstream URL and the cache key
+const ID_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+
+// Response modes:
+//   default           - the clip as a binary audio/mpeg stream
+//   alignment: true   - the same stream, synthesized with character timings, which are cached
+//                       alongside the clip before the response ends
+//   timings: true     - application/json { alignment } with the timings of a clip requested with
+//                       alignment: true, where alignment is { characters, starts, ends } in seconds
+//                       from the start of the clip; 404 if there are none
+// Timings come in a separate request so the audio itself is never wrapped in base64.
+
+// TTS is billed per character, so that is what the bucket counts.
+// Returns false after answering 429 when the client is over its limit.
+async function chargeSpeech(req, res, text) {
+  const limit = await checkRateLimit(req, ttsLimiter, text.length);
+  if (limit.allowed) return true;
+
+  res.setHeader('Cache-Control', 'no-store');
+  sendRateLimited(res, limit, 'Speech quota exceeded - please try again later');
+  return false;
 }
 
-export default async function handler(req, res) {
-  const allowedOrigin = getAllowedOrigin(req);
-  
-  // Handle CORS preflight requests
-  if (req.method === 'OPTIONS') {
-    if (allowedOrigin) {
-      res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-      res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-      res.setHeader('Access-Control-Allow-Credentials', 'true');
-    }
-    return res.status(200).end();
-  }
+// Only a complete cached clip is known to be final, so only hits are labelled with its content
+// address. Synthesized responses can still be cut short if the upstream stream fails.
+function setCacheHitHeaders(res, cacheKey) {
+  res.setHeader('X-TTS-Cache', 'HIT');
+  res.setHeader('ETag', `"${cacheKey}"`);
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+}
+
+function startAudioStream(res) {
+  res.statusCode = 200;
+  res.setHeader('X-TTS-Cache', 'MISS');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Content-Type', 'audio/mpeg');
+  res.setHeader('X-Accel-Buffering', 'no');
+}
+
+// Streams the clip as plain audio while collecting its character timings. The timings are
+// cached before the response ends, so a timings request made once the clip has downloaded finds them.
+async function sendSpeechWithTimestamps(res, { apiKey, voiceId, text, modelId, outputFormat, cacheKey }) {
+  const chunks = await streamSpeechWithTimestamps({ apiKey, voiceId, text, modelId, outputFormat });
+  startAudioStream(res);
 
-  // Set CORS headers for all responses
-  if (allowedOrigin) {
-    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-  } else if (process.env.VERCEL_ENV === 'production') {
-    // Reject unauthorized origins in production
-    return res.status(403).json({ error: 'Forbidden: Origin not allowed' });
+  const audioChunks = [];
+  const fullAlignment = { characters: [], starts: [], ends: [] };
+  for await (const { audio, alignment } of chunks) {
+    audioChunks.push(audio);
+    if (alignment) appendAlignment(fullAlignment, alignment);
+    res.write(audio);
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  await writeCachedAlignment(cacheKey, fullAlignment);
+  res.end();
+  await writeCachedSpeech(cacheKey, Buffer.concat(audioChunks));
+}
+
+async function sendTimings(res, cacheKey) {
+  const alignment = await readCachedAlignment(cacheKey);
+  res.setHeader('Cache-Control', 'no-store');
+  if (!alignment) {
+    return res.status(404).json({ error: 'No timings for this clip' });
   }
+  return res.status(200).json({ alignment });
+}
 
+export default withApiSecurity(async function handler(req, res) {
   const apiKey = process.env.ELEVENLABS_API_KEY;
   
   if (!apiKey) {
@@ -59,59 +81,80 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { voiceId, text, modelId, outputFormat } = req.body;
+    const { voiceId, text, modelId, outputFormat, alignment, timings } = req.body;
 
     if (!voiceId || !text) {
       return res.status(400).json({ error: 'Missing required parameters: voiceId and text' });
     }
 
-    // Construct the ElevenLabs API URL
-    const apiUrl = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
-    
-    // Prepare query parameters
-    const params = new URLSearchParams();
-    if (modelId) params.append('model_id', modelId);
-    if (outputFormat) params.append('output_format', outputFormat);
-    
-    const urlWithParams = params.toString() 
-      ? `${apiUrl}?${params.toString()}` 
-      : apiUrl;
-
-    const response = await fetch(urlWithParams, {
-      method: 'POST',
-      headers: {
-        'Accept': 'audio/mpeg',
-        'Content-Type': 'application/json',
-        'xi-api-key': apiKey
-      },
-      body: JSON.stringify({ text })
-    });
+    if (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `Text too long: maximum is ${MAX_TEXT_LENGTH} characters` });
+    }
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      return res.status(response.status).json({ 
-        error: `ElevenLabs API error: ${response.status}`,
-        details: errorData
-      });
+    if ([voiceId, modelId, outputFormat].some(id => id !== undefined && !ID_PATTERN.test(id))) {
+      return res.status(400).json({ error: 'Invalid voiceId, modelId or outputFormat' });
     }
 
-    // Get the audio data as ArrayBuffer
-    const audioBuffer = await response.arrayBuffer();
-    
-    // Convert to base64 for JSON response, or send as binary
-    // We'll send as base64 so the frontend can decode it
-    const base64Audio = Buffer.from(audioBuffer).toString('base64');
-    
-    return res.status(200).json({
-      audio: base64Audio,
-      format: outputFormat || 'mp3_44100_128'
-    });
+    const format = outputFormat || 'mp3_44100_128';
+    // Responses are served as audio/mpeg
+    if (!format.startsWith('mp3_')) {
+      return res.status(400).json({ error: 'Only mp3 output formats are supported' });
+    }
+    const cacheKey = await ttsCacheKey({ text, voiceId, modelId, outputFormat: format });
+
+    if (timings === true) {
+      return await sendTimings(res, cacheKey);
+    }
+
+    const cached = await readCachedSpeech(cacheKey);
+    // A clip cached without timings has to be synthesized again to get them
+    if (cached && (alignment !== true || await readCachedAlignment(cacheKey))) {
+      // Cached clips cost no ElevenLabs characters, so they are not charged to the bucket
+      setCacheHitHeaders(res, cacheKey);
+      res.setHeader('Content-Type', 'audio/mpeg');
+      res.setHeader('Content-Length', String(cached.length));
+      return res.status(200).end(cached);
+    }
+
+    if (!(await chargeSpeech(req, res, text))) return;
+
+    if (alignment === true) {
+      return await sendSpeechWithTimestamps(res, { apiKey, voiceId, text, modelId, outputFormat: format, cacheKey });
+    }
+
+    const audioStream = await streamSpeech({ apiKey, voiceId, text, modelId, outputFormat: format });
+
+    // Pass audio through as it is synthesized so playback can start on the first chunk
+    startAudioStream(res);
+
+    const chunks = [];
+    for await (const chunk of audioStream) {
+      chunks.push(chunk);
+      res.write(chunk);
+    }
+    res.end();
+
+    // Only complete clips are cached
+    await writeCachedSpeech(cacheKey, Buffer.concat(chunks));
   } catch (error) {
+    // If the stream already started we can only close it
+    if (res.headersSent) {
+      console.error('ElevenLabs stream error:', error);
+      return res.end();
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (error instanceof ElevenLabsError) {
+      return res.status(error.status).json({ 
+        error: error.message,
+        details: error.details
+      });
+    }
+
     console.error('ElevenLabs proxy error:', error);
     return res.status(500).json({ 
       error: 'Internal server error',
       message: error.message 
     });
   }
-}
-
+}, { exposeHeaders: ['Retry-After', 'ETag', 'X-TTS-Cache'] });
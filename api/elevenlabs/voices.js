@@ -0,0 +1,68 @@
+import { withApiSecurity } from '../_lib/security.js';
+import { listVoices, ElevenLabsError } from '../_lib/elevenlabs.js';
+
+// The voice list rarely changes, so each instance keeps it this long (and lets CDNs do the same)
+function cacheTtlSeconds() {
+  const value = parseFloat(process.env.VOICES_CACHE_TTL_SECONDS);
+  return Number.isFinite(value) && value >= 0 ? value : 3600;
+}
+
+// { voices, fetchedAt } from the last successful fetch
+let cached = null;
+// Fetch in flight, shared by requests arriving while the cache is cold
+let pending = null;
+
+async function getVoices(apiKey) {
+  if (cached && Date.now() - cached.fetchedAt < cacheTtlSeconds() * 1000) {
+    return cached.voices;
+  }
+
+  if (!pending) {
+    pending = listVoices({ apiKey })
+      .then(voices => {
+        cached = { voices, fetchedAt: Date.now() };
+        return voices;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+
+  try {
+    return await pending;
+  } catch (error) {
+    // Better a stale list than none while ElevenLabs is having trouble
+    if (cached) return cached.voices;
+    throw error;
+  }
+}
+
+// Response: { voices: [{ voiceId, name, gender, accent, age, description, languages, previewUrl }] }
+export default withApiSecurity(async function handler(req, res) {
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+
+  if (!apiKey) {
+    return res.status(500).json({ error: 'ElevenLabs API key not configured' });
+  }
+
+  try {
+    const voices = await getVoices(apiKey);
+    const ttl = cacheTtlSeconds();
+    res.setHeader('Cache-Control', `public, max-age=${Math.min(ttl, 300)}, s-maxage=${ttl}, stale-while-revalidate=86400`);
+    return res.status(200).json({ voices });
+  } catch (error) {
+    res.setHeader('Cache-Control', 'no-store');
+    if (error instanceof ElevenLabsError) {
+      return res.status(error.status).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    console.error('ElevenLabs voices error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}, { methods: ['GET'] });
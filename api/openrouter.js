@@ -1,61 +1,23 @@
-// Helper function to get allowed origin based on environment
-function getAllowedOrigin(req) {
-  const origin = req.headers.origin || req.headers.referer;
-  const isProduction = process.env.VERCEL_ENV === 'production';
-  
-  // In production, only allow beta.xiaotianfanx.com
-  if (isProduction) {
-    if (origin && origin.includes('beta.xiaotianfanx.com')) {
-      return origin;
-    }
-    return null; // Reject other origins in production
-  }
-  
-  // In development, allow localhost and local dev server
-  if (origin) {
-    if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
-      return origin;
-    }
-  }
-  
-  // Fallback: allow all in development (for local Vercel dev server)
-  return '*';
-}
+import { withApiSecurity } from './_lib/security.js';
+import { chatLimiter, checkRateLimit, sendRateLimited } from './_lib/rateLimit.js';
+import { validateChatRequest, buildOpenRouterPayload } from './_lib/chatRequest.js';
 
-export default async function handler(req, res) {
-  const allowedOrigin = getAllowedOrigin(req);
+export default withApiSecurity(async function handler(req, res) {
+  const apiKey = process.env.OPENROUTER_API_KEY;
   
-  // Handle CORS preflight requests
-  if (req.method === 'OPTIONS') {
-    if (allowedOrigin) {
-      res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-      res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-      res.setHeader('Access-Control-Allow-Credentials', 'true');
-    }
-    return res.status(200).end();
-  }
-
-  // Set CORS headers for all responses
-  if (allowedOrigin) {
-    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-  } else if (process.env.VERCEL_ENV === 'production') {
-    // Reject unauthorized origins in production
-    return res.status(403).json({ error: 'Forbidden: Origin not allowed' });
+  if (!apiKey) {
+    return res.status(500).json({ error: 'OpenRouter API key not configured' });
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  // Reject anything that is not one of our own chat or summary requests before spending tokens on it
+  const { value: chatRequest, errors } = validateChatRequest(req.body);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid request', details: errors });
   }
 
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  
-  if (!apiKey) {
-    return res.status(500).json({ error: 'OpenRouter API key not configured' });
+  const limit = await checkRateLimit(req, chatLimiter);
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit, 'Too many messages - please slow down');
   }
 
   try {
@@ -67,7 +29,7 @@ export default async function handler(req, res) {
         'HTTP-Referer': req.headers.referer || req.headers.origin || '',
         'X-Title': 'Portfolio Assistant'
       },
-      body: JSON.stringify(req.body)
+      body: JSON.stringify(buildOpenRouterPayload(chatRequest))
     });
 
     if (!response.ok) {
@@ -78,14 +40,31 @@ export default async function handler(req, res) {
       });
     }
 
+    // Streaming requests: pass OpenRouter's SSE stream straight through
+    if (chatRequest.stream) {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+
+      for await (const chunk of response.body) {
+        res.write(chunk);
+      }
+      return res.end();
+    }
+
     const data = await response.json();
     return res.status(200).json(data);
   } catch (error) {
     console.error('OpenRouter proxy error:', error);
+    // If the stream already started we can only close it
+    if (res.headersSent) {
+      return res.end();
+    }
     return res.status(500).json({ 
       error: 'Internal server error',
       message: error.message 
     });
   }
-}
-
+});
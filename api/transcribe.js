@@ -0,0 +1,73 @@
+import { withApiSecurity } from './_lib/security.js';
+import { transcribeLimiter, checkRateLimit, sendRateLimited } from './_lib/rateLimit.js';
+import { getTranscriptionProvider, SUPPORTED_AUDIO_TYPES, TranscriptionError } from './_lib/transcription.js';
+
+// Largest clip accepted; a recorded turn is capped at 30 seconds of Opus, well under this
+const MAX_AUDIO_BYTES = 2 * 1024 * 1024;
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+
+// Request: the recorded clip as the raw body, with its MIME type as Content-Type
+// and an optional ?language=<ISO 639-1> hint. Response: { text, language }.
+
+// Reads the raw request body, or returns null once it grows past maxBytes
+async function readBody(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default withApiSecurity(async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Codec parameters (audio/webm;codecs=opus) don't matter to the backend
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!SUPPORTED_AUDIO_TYPES.includes(contentType)) {
+    return res.status(415).json({ error: `Unsupported audio type: expected one of ${SUPPORTED_AUDIO_TYPES.join(', ')}` });
+  }
+
+  const declaredLength = parseInt(req.headers['content-length'], 10);
+  if (declaredLength > MAX_AUDIO_BYTES) {
+    return res.status(413).json({ error: `Audio too large: maximum is ${MAX_AUDIO_BYTES} bytes` });
+  }
+
+  const language = req.query && req.query.language;
+  if (language !== undefined && !LANGUAGE_PATTERN.test(language)) {
+    return res.status(400).json({ error: 'Invalid language: expected an ISO 639-1 code' });
+  }
+
+  const limit = await checkRateLimit(req, transcribeLimiter);
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit, 'Too many voice messages - please slow down');
+  }
+
+  try {
+    const audio = await readBody(req, MAX_AUDIO_BYTES);
+    if (!audio) {
+      return res.status(413).json({ error: `Audio too large: maximum is ${MAX_AUDIO_BYTES} bytes` });
+    }
+    if (audio.length === 0) {
+      return res.status(400).json({ error: 'Missing audio' });
+    }
+
+    const result = await getTranscriptionProvider().transcribe({ audio, contentType, language });
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof TranscriptionError) {
+      return res.status(502).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    console.error('Transcription proxy error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
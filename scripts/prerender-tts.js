@@ -0,0 +1,58 @@
+// Pre-renders speech for the guide's fixed lines into the server TTS cache, so the first
+// visitor to hear them gets a cache hit instead of waiting on ElevenLabs.
+//
+//   ELEVENLABS_API_KEY=... node scripts/prerender-tts.js
+//
+// Clips are rendered exactly as the frontend will ask for them: split into the chunks the
+// speech queue speaks (src/speechQueue.js), in each language with the persona's voice, and
+// with the word timings chat replies request. A visitor who picked another voice misses.
+//
+// Writes to the store configured in api/_lib/ttsCache.js (.cache/tts unless TTS_CACHE_DIR is
+// set). For production, configure the blob store there and run this as part of the build.
+import { PROJECTS, PERSONAS } from '../api/_lib/catalog.js';
+import { readCachedSpeech, writeCachedSpeech, readCachedAlignment, writeCachedAlignment } from '../api/_lib/ttsCache.js';
+import { synthesizeSpeechWithTimestamps } from '../api/_lib/elevenlabs.js';
+import { fixedCuratorLines } from '../src/fallbackCurator.js';
+import { splitSpeechChunks } from '../src/speechQueue.js';
+import { LANGUAGES } from '../src/i18n.js';
+import { resolveTtsVoice, ttsCacheKey } from '../src/tts.js';
+
+const apiKey = process.env.ELEVENLABS_API_KEY;
+if (!apiKey) {
+  console.error('ELEVENLABS_API_KEY is not set');
+  process.exit(1);
+}
+
+// Requests keyed by cache key, so chunks shared between lines are rendered once
+const requests = new Map();
+for (const persona of Object.values(PERSONAS)) {
+  for (const language of Object.keys(LANGUAGES)) {
+    const voice = resolveTtsVoice({ language, personaVoiceId: persona.voice && persona.voice.voiceId });
+    for (const line of fixedCuratorLines(PROJECTS, persona.endOfJourney.redirectUrl, language)) {
+      for (const chunk of splitSpeechChunks(line)) {
+        const request = { ...voice, text: chunk.text };
+        requests.set(await ttsCacheKey(request), request);
+      }
+    }
+  }
+}
+
+let rendered = 0;
+for (const [key, request] of requests) {
+  // The proxy only counts a hit when both the audio and its timings are cached
+  const [audio, alignment] = await Promise.all([readCachedSpeech(key), readCachedAlignment(key)]);
+  if (audio && alignment) continue;
+
+  try {
+    const clip = await synthesizeSpeechWithTimestamps({ apiKey, ...request });
+    await writeCachedSpeech(key, clip.audio);
+    await writeCachedAlignment(key, clip.alignment);
+    rendered++;
+    console.log(`Rendered: ${request.text}`);
+  } catch (error) {
+    console.error(`Failed: ${request.text}`, error.message);
+    process.exitCode = 1;
+  }
+}
+
+console.log(`${rendered} rendered, ${requests.size - rendered} already cached or failed (${requests.size} chunks)`);
@@ -0,0 +1,150 @@
+// Actions the agent can take, declared to the model as OpenAI-style tools.
+// The usage rules for each action live in its description, so a new action only
+// needs an entry here and a handler registered in App - the system prompt stays untouched.
+export const AGENT_ACTIONS = [
+    {
+        name: 'chat',
+        description: 'Continue the conversation: greet, ask discovery questions, recommend a project in words, or answer questions. Use this whenever no other action clearly applies, including when recommending a project that the user has not yet explicitly accepted.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: {
+                    type: 'string',
+                    description: 'What you say to the user.'
+                }
+            },
+            required: ['message']
+        }
+    },
+    {
+        name: 'present',
+        description: 'Open a project for the user to view. Use ONLY when the user explicitly accepts your recommendation (e.g. "Yes", "Sure", "Okay", "Show me", "I\'d like to see it"). If the response is ambiguous, use chat instead and ask for clarification.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: {
+                    type: 'string',
+                    description: 'A short line introducing the project, spoken before it opens.'
+                },
+                projectId: {
+                    type: 'string',
+                    description: 'The id of the project to present, exactly as listed in the catalog.'
+                },
+                revisit: {
+                    type: 'boolean',
+                    description: 'Set to true only when the user explicitly asked to see an already VIEWED project again.'
+                }
+            },
+            required: ['message', 'projectId']
+        }
+    },
+    {
+        name: 'tour',
+        description: 'Take the user through an ordered sequence of 2-4 projects, each introduced with a short narration. Use when the user asks to be shown several works at once (e.g. "just show me your best stuff", "show me everything about dreams") or accepts your offer of a tour. Order the stops so each piece sets up the next.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: {
+                    type: 'string',
+                    description: 'A short line introducing the tour as a whole, spoken before the first stop opens.'
+                },
+                stops: {
+                    type: 'array',
+                    minItems: 2,
+                    maxItems: 4,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            projectId: {
+                                type: 'string',
+                                description: 'The id of the project, exactly as listed in the catalog.'
+                            },
+                            narration: {
+                                type: 'string',
+                                description: 'One or two sentences spoken as this project opens, linking it to the previous stop.'
+                            }
+                        },
+                        required: ['projectId', 'narration']
+                    }
+                }
+            },
+            required: ['message', 'stops']
+        }
+    },
+    {
+        name: 'redirect',
+        description: 'Send the user to the author\'s other works. Use ONLY after you asked whether they would like to visit the author\'s other works and they agreed.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: {
+                    type: 'string',
+                    description: 'A polite farewell.'
+                }
+            },
+            required: ['message']
+        }
+    }
+];
+
+// Accepted by every action: what this turn revealed about the visitor's taste (see tasteProfile.js)
+const weightMap = (examples) => ({
+    type: 'object',
+    additionalProperties: { type: 'number' },
+    description: `Term -> weight from -1 (dislikes) to 1 (loves), e.g. ${examples}`
+});
+
+export const PREFERENCE_UPDATE_PARAMETER = {
+    type: 'object',
+    description: 'What the user\'s latest message revealed about their taste. Include only dimensions you learned something about; omit entirely if nothing new.',
+    properties: {
+        themes: weightMap('{"memory": 0.8, "identity": 0.3}'),
+        media: weightMap('{"film": 0.6, "interactive": -0.4}'),
+        moods: weightMap('{"calm": 0.7, "chaos": -0.5}')
+    }
+};
+
+// Accepted by every action: the face the guide makes while saying the message (see FaceManager.setExpression)
+export const AGENT_EXPRESSIONS = ['neutral', 'happy', 'surprised', 'curious', 'thoughtful', 'wink'];
+
+export const EXPRESSION_PARAMETER = {
+    type: 'string',
+    enum: AGENT_EXPRESSIONS,
+    description: 'Your facial expression while you say the message: happy when delighted or agreeing, surprised at something unexpected, curious when asking about the user, thoughtful when reflecting, wink for a playful aside. Omit for neutral.'
+};
+
+// Tool definitions in the shape expected by the chat completions "tools" field
+export function getToolDefinitions() {
+    return AGENT_ACTIONS.map(action => ({
+        type: 'function',
+        function: {
+            name: action.name,
+            description: action.description,
+            parameters: {
+                ...action.parameters,
+                properties: {
+                    ...action.parameters.properties,
+                    preferenceUpdate: PREFERENCE_UPDATE_PARAMETER,
+                    expression: EXPRESSION_PARAMETER
+                }
+            }
+        }
+    }));
+}
+
+// Turns a tool call into the { action, message, ...args } object the App dispatches on
+export function decodeToolCall(name, argumentsJson) {
+    const definition = AGENT_ACTIONS.find(a => a.name === name);
+    if (!definition) {
+        throw new Error(`Unknown agent action: ${name}`);
+    }
+
+    const args = argumentsJson ? JSON.parse(argumentsJson) : {};
+    for (const key of definition.parameters.required) {
+        if (args[key] === undefined || args[key] === null || args[key] === '') {
+            throw new Error(`Missing "${key}" argument for action "${name}"`);
+        }
+    }
+
+    return { ...args, action: name };
+}
@@ -0,0 +1,46 @@
+import { ApiError, RateLimitError } from './errors.js';
+
+// Shared plumbing for calls to our /api proxies
+
+// In local dev, use Vercel server on port 3000; in production, use relative path
+const isLocalDev = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+const apiBase = isLocalDev ? 'http://localhost:3000' : '';
+
+const SESSION_STORAGE_KEY = 'xfast.sessionId';
+
+export function apiUrl(path) {
+    return `${apiBase}${path}`;
+}
+
+// Random per-tab id the proxies use, together with the IP, to rate limit each visitor
+export function getSessionId() {
+    try {
+        let id = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+        if (!id) {
+            id = crypto.randomUUID();
+            window.sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+        }
+        return id;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function apiHeaders(extra = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extra };
+    const sessionId = getSessionId();
+    if (sessionId) headers['X-Session-Id'] = sessionId;
+    return headers;
+}
+
+// Throws a RateLimitError for 429s and an ApiError for other failures
+export async function throwIfNotOk(response) {
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || errorData.retryAfter || 30;
+        throw new RateLimitError(errorData.error || 'Too many requests', retryAfter);
+    }
+    throw new ApiError(errorData.error || `API request failed with status ${response.status}`, response.status);
+}
@@ -1,42 +1,251 @@
+import { apiUrl, apiHeaders, throwIfNotOk } from './apiClient.js';
+import { RateLimitError } from './errors.js';
+import { DEFAULT_TTS_VOICE, resolveTtsVoice, ttsCacheKey } from './tts.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n.js';
+import { loadVoicePreference, saveVoicePreference, pickWebSpeechVoice } from './voices.js';
+import { AudioCache } from './audioCache.js';
+import { SpeechEnvelope } from './speechEnvelope.js';
+import { visemeAtTime, visemeInWord } from './visemes.js';
+import { VoiceActivityDetector } from './voiceActivity.js';
+import { SpeechRecorder, canRecordSpeech } from './speechRecorder.js';
+
+// Speech recognition backend, overridable through a Vite env var (see README):
+//   auto       - the browser's Web Speech API where it exists, otherwise recording for /api/transcribe
+//   web-speech - only the Web Speech API
+//   server     - always record and transcribe on the server
+const STT_BACKEND = import.meta.env.VITE_STT_BACKEND || 'auto';
+
+// Readings of each recognised phrase to keep, for correcting misrecognitions
+const MAX_RECOGNITION_ALTERNATIVES = 3;
+
+// Progressive playback needs Media Source Extensions with MP3 support; otherwise clips are
+// downloaded in full before playing
+function canStreamAudio() {
+    return 'MediaSource' in window && MediaSource.isTypeSupported('audio/mpeg');
+}
+
+function appendToSourceBuffer(sourceBuffer, chunk) {
+    return new Promise((resolve, reject) => {
+        sourceBuffer.addEventListener('updateend', resolve, { once: true });
+        sourceBuffer.addEventListener('error', reject, { once: true });
+        sourceBuffer.appendBuffer(chunk);
+    });
+}
+
+// Yields the response body as Uint8Array chunks
+async function* readChunks(response) {
+    const reader = response.body.getReader();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        // Also runs when the consumer stops early, which aborts the download
+        reader.cancel().catch(() => {});
+    }
+}
+
+// Reads a SpeechRecognitionResultList into
+//   { transcript, isFinal, confidence, alternatives: [{ transcript, confidence }] }
+// confidence is that of the least certain finished segment, or null while nothing is final or the
+// browser doesn't report it (some report 0). alternatives are whole-utterance readings, best first.
+function readRecognitionResults(results) {
+    const segments = Array.from(results, result => ({
+        isFinal: result.isFinal,
+        alternatives: Array.from(result, alternative => ({
+            transcript: alternative.transcript.trim(),
+            confidence: alternative.confidence || null
+        }))
+    }));
+    const best = segments.map(segment => segment.alternatives[0].transcript);
+    const transcript = best.filter(Boolean).join(' ');
+
+    const confidences = segments
+        .filter(segment => segment.isFinal && segment.alternatives[0].confidence !== null)
+        .map(segment => segment.alternatives[0].confidence);
+    const confidence = confidences.length ? Math.min(...confidences) : null;
+
+    // Each segment's other readings, with the rest of the utterance kept as heard
+    const alternatives = [{ transcript, confidence }];
+    segments.forEach((segment, index) => {
+        for (const alternative of segment.alternatives.slice(1)) {
+            const words = best.map((text, i) => (i === index ? alternative.transcript : text));
+            const text = words.filter(Boolean).join(' ');
+            if (!alternatives.some(existing => existing.transcript === text)) {
+                alternatives.push({ transcript: text, confidence: alternative.confidence });
+            }
+        }
+    });
+
+    return {
+        transcript,
+        isFinal: segments.every(segment => segment.isFinal),
+        confidence,
+        alternatives
+    };
+}
+
+// Groups character timings into words: [{ charIndex, charLength, start }].
+// Each Han character is a word of its own, matching SpokenText.
+function wordsFromAlignment({ characters, starts }) {
+    const words = [];
+    let current = null;
+    characters.forEach((character, index) => {
+        if (/\s/.test(character)) {
+            current = null;
+            return;
+        }
+        const isHan = /\p{Script=Han}/u.test(character);
+        if (!current || isHan || current.isHan) {
+            current = { charIndex: index, charLength: 0, start: starts[index], isHan };
+            words.push(current);
+        }
+        current.charLength++;
+    });
+    return words;
+}
+
 export class AudioService {
     constructor() {
         this.recognition = null;
+        // 'web-speech', 'server' or null when voice input is unavailable (see STT_BACKEND)
+        this.recognitionBackend = null;
+        this.recorder = null;
+        this.language = DEFAULT_LANGUAGE;
+        this.speechLanguage = LANGUAGES[DEFAULT_LANGUAGE].speechLang;
         this.isListening = false;
         this.currentAudio = null;
         
         // Default voice and model configuration
-        this.defaultVoiceId = "CwhRBWXzGAHq8TQ4Fs17"; // Default voice ID
-        this.defaultModelId = "eleven_turbo_v2_5";
-        this.outputFormat = "mp3_44100_128";
+        this.defaultVoiceId = DEFAULT_TTS_VOICE.voiceId;
+        this.defaultModelId = DEFAULT_TTS_VOICE.modelId;
+        this.outputFormat = DEFAULT_TTS_VOICE.outputFormat;
+        // Voice selection, in order of precedence: the visitor's saved choice, the persona's
+        // voice, then the language default (see applyVoice)
+        this.voicePreference = loadVoicePreference();
+        this.personaVoice = null;
+        // ElevenLabs voices from /api/elevenlabs/voices, and the browser's own for the fallback
+        this.voices = [];
+        this.webSpeechVoice = null;
+        // Clips already heard in this browser play straight from IndexedDB
+        this.audioCache = new AudioCache();
+
+        // Loudness of the current speech for lip sync (see getSpeechState)
+        this.envelope = new SpeechEnvelope();
+        this.audioContext = null;
+        this.analyser = null;
+        this.currentSource = null;
+        this.currentAlignment = null;
+        this.unlockAudioOnGesture();
         
         // Use proxy endpoint instead of direct API
-        // In local dev, use Vercel server on port 3000; in production, use relative path
-        const isLocalDev = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-        const apiBase = isLocalDev ? 'http://localhost:3000' : '';
-        this.apiUrl = `${apiBase}/api/elevenlabs`;
+        this.apiUrl = apiUrl('/api/elevenlabs');
+        this.voicesUrl = apiUrl('/api/elevenlabs/voices');
+        this.transcribeUrl = apiUrl('/api/transcribe');
+        // While the proxy is rate limiting us, use the Web Speech API until this timestamp
+        this.ttsPausedUntil = 0;
 
         this.initSpeechRecognition();
     }
 
-    async initializeVoices() {
-        // Voice initialization disabled - using default voice ID
-        console.log(`Using default voice ID: ${this.defaultVoiceId}`);
+    // personaVoice is the persona's optional "voice" config: { voiceId, gender }.
+    // Resolves with the ElevenLabs voice catalog (empty if it could not be loaded).
+    async initializeVoices(personaVoice = null) {
+        this.personaVoice = personaVoice;
+        this.applyVoice();
+
+        // Browsers load their voice list asynchronously
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.addEventListener('voiceschanged', () => this.applyVoice());
+        }
+
+        try {
+            const response = await fetch(this.voicesUrl, { headers: apiHeaders() });
+            await throwIfNotOk(response);
+            this.voices = (await response.json()).voices;
+        } catch (error) {
+            console.warn('Could not load the voice catalog:', error);
+            return this.voices;
+        }
+
+        // A saved voice that has since been removed from the account would fail every request
+        if (this.voicePreference && !this.voices.some(voice => voice.voiceId === this.voicePreference)) {
+            this.setVoice(null);
+        } else {
+            this.applyVoice();
+        }
+        return this.voices;
+    }
+
+    // Picks an ElevenLabs voice by id (null for the default) and remembers it for future visits
+    setVoice(voiceId) {
+        this.voicePreference = voiceId || null;
+        saveVoicePreference(this.voicePreference);
+        this.applyVoice();
+    }
+
+    // Resolves the voice for the current language and preferences, for both speech engines
+    applyVoice() {
+        const voice = resolveTtsVoice({
+            language: this.language,
+            personaVoiceId: this.personaVoice && this.personaVoice.voiceId,
+            preferredVoiceId: this.voicePreference
+        });
+        this.defaultVoiceId = voice.voiceId;
+        this.defaultModelId = voice.modelId;
+        this.outputFormat = voice.outputFormat;
+
+        // Match the browser voice to the ElevenLabs one it stands in for
+        const catalogVoice = this.voices.find(voice => voice.voiceId === this.defaultVoiceId);
+        const gender = (catalogVoice && catalogVoice.gender) || (this.personaVoice && this.personaVoice.gender) || null;
+        this.webSpeechVoice = 'speechSynthesis' in window
+            ? pickWebSpeechVoice(window.speechSynthesis.getVoices(), { lang: this.speechLanguage, gender })
+            : null;
+    }
+
+    // Switches recognition and both speech engines to a language from i18n.js
+    setLanguage(language) {
+        if (!LANGUAGES[language]) return;
+        this.language = language;
+        this.speechLanguage = LANGUAGES[language].speechLang;
+        if (this.recognition) {
+            this.recognition.lang = this.speechLanguage;
+        }
+
+        this.applyVoice();
     }
 
     initSpeechRecognition() {
         const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        if (SpeechRecognition) {
+        if (SpeechRecognition && STT_BACKEND !== 'server') {
+            this.recognitionBackend = 'web-speech';
             this.recognition = new SpeechRecognition();
             this.recognition.continuous = false;
-            this.recognition.interimResults = false;
-            this.recognition.lang = 'en-US';
+            // Interim results let the input show what is being heard while the visitor talks
+            this.recognition.interimResults = true;
+            this.recognition.maxAlternatives = MAX_RECOGNITION_ALTERNATIVES;
+            this.recognition.lang = this.speechLanguage;
+        } else if (canRecordSpeech() && STT_BACKEND !== 'web-speech') {
+            this.recognitionBackend = 'server';
+            this.recorder = new SpeechRecorder(() => this.getAudioContext());
         } else {
             console.warn('Speech Recognition API not supported in this browser.');
         }
     }
 
 
-    startListening(onResult, onEnd, onError) {
+    // onResult(result) is called with every interim and final update of the utterance so far; see
+    // readRecognitionResults for its shape.
+    // Options:
+    //   continuous - keep listening through pauses until stopListening() (conversation mode)
+    startListening(onResult, onEnd, onError, { continuous = false } = {}) {
+        if (this.recognitionBackend === 'server') {
+            this.listenWithRecorder(onResult, onEnd, onError, { continuous });
+            return;
+        }
+
         if (!this.recognition) {
             if (onError) onError('Speech API not supported');
             return;
@@ -51,9 +260,11 @@ export class AudioService {
             this.isListening = true;
         };
 
+        this.recognition.continuous = continuous;
+
         this.recognition.onresult = (event) => {
-            const transcript = event.results[0][0].transcript;
-            if (onResult) onResult(transcript);
+            // In continuous mode each pause adds a result; onResult gets the whole utterance so far
+            if (onResult) onResult(readRecognitionResults(event.results));
         };
 
         this.recognition.onerror = (event) => {
@@ -84,84 +295,400 @@ export class AudioService {
     }
 
     stopListening() {
-        if (this.recognition && this.isListening) {
+        if (!this.isListening) return;
+        if (this.recorder) {
+            this.recorder.stop();
+        } else if (this.recognition) {
             this.recognition.stop();
         }
     }
 
-    async speak(text, onStart, onEnd) {
-        if (!this.defaultVoiceId) {
-            console.error('No voice ID available.');
-            // Fallback to Web Speech API
-            this.speakWithWebSpeechAPI(text, onStart, onEnd);
-            return;
+    // Server backend for startListening: records the turn, then reports the transcript as a single
+    // final result. Errors use SpeechRecognition's codes so callers handle both backends alike.
+    async listenWithRecorder(onResult, onEnd, onError, { continuous }) {
+        if (this.isListening) return;
+        this.isListening = true;
+
+        try {
+            // In continuous mode the caller decides when the turn ends
+            const { blob, heardSpeech } = await this.recorder.record({ stopOnSilence: !continuous });
+            if (heardSpeech && blob.size) {
+                const { text } = await this.requestTranscription(blob);
+                if (text && onResult) {
+                    // Whisper-style backends report no confidence
+                    onResult({
+                        transcript: text,
+                        isFinal: true,
+                        confidence: null,
+                        alternatives: [{ transcript: text, confidence: null }]
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Speech transcription error:', error);
+            if (onError) onError(error.name === 'NotAllowedError' ? 'not-allowed' : 'network');
         }
 
+        this.isListening = false;
+        if (onEnd) onEnd();
+    }
+
+    // Sends a recorded clip to the transcription proxy; resolves with { text, language }
+    async requestTranscription(blob) {
+        const language = this.speechLanguage.split('-')[0];
+        const response = await fetch(`${this.transcribeUrl}?language=${encodeURIComponent(language)}`, {
+            method: 'POST',
+            headers: apiHeaders({ 'Content-Type': blob.type || 'audio/webm' }),
+            body: blob
+        });
+
+        await throwIfNotOk(response);
+        return response.json();
+    }
+
+    // Microphone voice activity detection sharing the speech AudioContext (see voiceActivity.js)
+    createVoiceActivityDetector(callbacks) {
+        return new VoiceActivityDetector(() => this.getAudioContext(), callbacks);
+    }
+
+    // onBoundary({ charIndex, charLength }) is called as each word of text starts being spoken.
+    // Passing it requests word timings from the proxy (see api/elevenlabs.js).
+    async speak(text, onStart, onEnd, onBoundary = null) {
         // Cancel any current speech
         this.cancelSpeech();
 
-        try {
-            // Call the proxy endpoint instead of using the SDK
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    voiceId: this.defaultVoiceId,
-                    text: text,
-                    modelId: this.defaultModelId,
-                    outputFormat: this.outputFormat
-                })
-            });
+        const clip = await this.prepareSpeech(text, { alignment: Boolean(onBoundary) });
+        if (!clip) {
+            // Fallback to Web Speech API
+            this.speakWithWebSpeechAPI(text, onStart, onEnd, onBoundary);
+            return;
+        }
+        await this.playClip(clip, onStart, onEnd, onBoundary);
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                throw new Error(errorData.error || `API request failed with status ${response.status}`);
+    // Starts synthesizing text with ElevenLabs and returns a clip for playClip:
+    // { text, audio, audioUrl, alignment, timings }. The clip starts buffering straight away, so the next
+    // sentence can be prepared while another plays (see SpeechQueue). Resolves with null when
+    // ElevenLabs can't be used; callers then fall back to speakWithWebSpeechAPI.
+    // alignment asks for character timings, for callers that track word boundaries. They are fetched
+    // once the clip has downloaded and fill in clip.alignment, which is empty until then (and null
+    // when not asked for, in which case lip sync follows loudness only). clip.timings resolves
+    // with whether they arrived.
+    async prepareSpeech(text, { alignment: wantAlignment = false } = {}) {
+        if (!this.defaultVoiceId) {
+            console.error('No voice ID available.');
+            return null;
+        }
+
+        if (Date.now() < this.ttsPausedUntil) {
+            return null;
+        }
+
+        try {
+            const request = {
+                voiceId: this.defaultVoiceId,
+                text: text,
+                modelId: this.defaultModelId,
+                outputFormat: this.outputFormat
+            };
+            const cacheKey = await ttsCacheKey(request);
+
+            let audioUrl;
+            // Character timings for the clip, filled in once it has downloaded (null if not requested)
+            let alignment = null;
+            let timings;
+            const cached = await this.audioCache.get(cacheKey);
+            if (cached && (!wantAlignment || cached.alignment)) {
+                audioUrl = URL.createObjectURL(cached.blob);
+                alignment = cached.alignment || null;
+                timings = Promise.resolve(Boolean(alignment));
+            } else {
+                const chunks = readChunks(await this.requestSpeech(wantAlignment ? { ...request, alignment: true } : request));
+                if (wantAlignment) alignment = { characters: [], starts: [], ends: [] };
+
+                let resolveTimings;
+                timings = new Promise(resolve => { resolveTimings = resolve; });
+                // A clip that broke off has no timings on the proxy either
+                const cacheClip = async (blob) => {
+                    const aligned = Boolean(blob) && wantAlignment && await this.loadAlignment(request, alignment);
+                    resolveTimings(aligned);
+                    if (blob) this.audioCache.set(cacheKey, blob, aligned ? alignment : null);
+                };
+                if (canStreamAudio()) {
+                    audioUrl = this.createStreamingSource(chunks, cacheClip);
+                } else {
+                    const parts = [];
+                    for await (const chunk of chunks) parts.push(chunk);
+                    const blob = new Blob(parts, { type: 'audio/mpeg' });
+                    cacheClip(blob);
+                    audioUrl = URL.createObjectURL(blob);
+                }
             }
 
-            const data = await response.json();
-            
-            // Decode base64 audio data
-            const audioBytes = Uint8Array.from(atob(data.audio), c => c.charCodeAt(0));
-            
-            // Convert audio response to blob URL for playback
-            const audioBlob = new Blob([audioBytes], { type: 'audio/mpeg' });
-            const audioUrl = URL.createObjectURL(audioBlob);
+            // Create Audio object for playback; loading it opens the stream
+            const audio = new Audio(audioUrl);
+            audio.preload = 'auto';
+            return { text, audio, audioUrl, alignment, timings };
+        } catch (error) {
+            console.error('ElevenLabs TTS error:', error);
+            if (error instanceof RateLimitError) {
+                this.ttsPausedUntil = Date.now() + error.retryAfter * 1000;
+            }
+            return null;
+        }
+    }
 
-            // Create Audio object for playback
-            this.currentAudio = new Audio(audioUrl);
+    // Plays a clip from prepareSpeech, falling back to the Web Speech API if it won't play
+    async playClip(clip, onStart, onEnd, onBoundary = null) {
+        const { audio, audioUrl, alignment } = clip;
+        this.currentAudio = audio;
+        this.currentAlignment = alignment;
 
+        try {
             // Set up event handlers
-            this.currentAudio.onplay = () => {
+            const analysed = this.connectAnalyser(audio);
+
+            let trackingWords = false;
+            audio.onplay = () => {
+                if (analysed) {
+                    this.envelope.useAnalyser(this.analyser);
+                } else {
+                    this.envelope.useBabble();
+                }
                 if (onStart) onStart();
+                if (onBoundary && alignment && !trackingWords) {
+                    trackingWords = true;
+                    this.trackWordBoundaries(audio, alignment, onBoundary);
+                }
             };
 
-            this.currentAudio.onended = () => {
+            audio.onended = () => {
                 // Clean up
                 URL.revokeObjectURL(audioUrl);
-                this.currentAudio = null;
+                this.releaseAudio();
                 if (onEnd) onEnd();
             };
 
-            this.currentAudio.onerror = (error) => {
+            audio.onerror = (error) => {
                 console.error('Audio playback error:', error);
                 URL.revokeObjectURL(audioUrl);
-                this.currentAudio = null;
+                this.releaseAudio();
                 if (onEnd) onEnd();
             };
 
-            // Start playback
-            await this.currentAudio.play();
+            // Start playback - for streamed audio this resolves once the first chunk is buffered
+            await audio.play();
 
         } catch (error) {
+            // Cancelled before it started playing
+            if (this.currentAudio !== audio) return;
             console.error('ElevenLabs TTS error:', error);
+            this.discardClip(clip);
+            this.releaseAudio();
             // Fallback to Web Speech API
-            this.speakWithWebSpeechAPI(text, onStart, onEnd);
+            this.speakWithWebSpeechAPI(clip.text, onStart, onEnd, onBoundary);
+        }
+    }
+
+    // Releases a clip that will not be played (or is being stopped), ending its download
+    discardClip(clip) {
+        const { audio, audioUrl } = clip;
+        audio.onerror = null;
+        audio.onended = null;
+        audio.pause();
+        URL.revokeObjectURL(audioUrl);
+        // Detach the source so a still-streaming clip closes and stops downloading
+        audio.removeAttribute('src');
+        audio.load();
+    }
+
+    // Pauses whatever is being spoken, to continue with resumeSpeech
+    pauseSpeech() {
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+        } else if ('speechSynthesis' in window) {
+            window.speechSynthesis.pause();
+        }
+    }
+
+    resumeSpeech() {
+        if (this.currentAudio) {
+            this.currentAudio.play().catch(error => console.warn('Could not resume speech:', error));
+        } else if ('speechSynthesis' in window) {
+            window.speechSynthesis.resume();
+        }
+    }
+
+    // What the guide's voice is doing right now, for lip sync: { level, viseme } where level is the
+    // smoothed loudness (0-1) and viseme a mouth shape from visemes.js. Call once per animation frame.
+    getSpeechState() {
+        const level = this.envelope.sample();
+
+        let viseme = 'open'; // Nothing known about the sounds - just open and close with the volume
+        if (this.currentAudio && this.currentAlignment && this.currentAlignment.characters.length) {
+            viseme = visemeAtTime(this.currentAlignment, this.currentAudio.currentTime);
+        } else {
+            const word = this.envelope.currentWord();
+            if (word) viseme = visemeInWord(word.text, word.elapsed);
+        }
+        return { level, viseme };
+    }
+
+    // Browsers keep an AudioContext suspended until the visitor interacts with the page
+    unlockAudioOnGesture() {
+        const unlock = () => {
+            this.getAudioContext();
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                this.audioContext.resume().catch(() => {});
+            }
+        };
+        window.addEventListener('pointerdown', unlock, { once: true, capture: true });
+        window.addEventListener('keydown', unlock, { once: true, capture: true });
+    }
+
+    getAudioContext() {
+        if (this.audioContext) return this.audioContext;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        try {
+            this.audioContext = new AudioContextClass();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.analyser.connect(this.audioContext.destination);
+        } catch (e) {
+            console.warn('Web Audio unavailable:', e);
+            this.audioContext = null;
+        }
+        return this.audioContext;
+    }
+
+    // Routes an audio element through the AnalyserNode so lip sync follows the real signal.
+    // Returns false when that is not possible, in which case the element plays directly.
+    connectAnalyser(audio) {
+        const context = this.getAudioContext();
+        if (!context) return false;
+
+        // Audio routed into a suspended context is silent, so only route once it is running
+        if (context.state !== 'running') {
+            context.resume().catch(() => {});
+            return false;
+        }
+
+        try {
+            this.currentSource = context.createMediaElementSource(audio);
+            this.currentSource.connect(this.analyser);
+            return true;
+        } catch (e) {
+            console.warn('Could not analyse speech audio:', e);
+            return false;
+        }
+    }
+
+    releaseAudio() {
+        if (this.currentSource) {
+            this.currentSource.disconnect();
+            this.currentSource = null;
         }
+        this.currentAudio = null;
+        this.currentAlignment = null;
+        this.envelope.stop();
+    }
+
+    // Starts synthesis through the proxy; the response body is the audio/mpeg stream
+    async requestSpeech(request) {
+        // Call the proxy endpoint instead of using the SDK
+        const response = await fetch(this.apiUrl, {
+            method: 'POST',
+            headers: apiHeaders(),
+            body: JSON.stringify(request)
+        });
+
+        await throwIfNotOk(response);
+        return response;
     }
 
-    speakWithWebSpeechAPI(text, onStart, onEnd) {
+    // Fills alignment in with the timings the proxy kept for a clip requested with alignment: true.
+    // Returns whether there were any; without them the words are not followed.
+    async loadAlignment(request, alignment) {
+        try {
+            const response = await fetch(this.apiUrl, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ ...request, timings: true })
+            });
+            await throwIfNotOk(response);
+            const { alignment: timings } = await response.json();
+            alignment.characters.push(...timings.characters);
+            alignment.starts.push(...timings.starts);
+            alignment.ends.push(...timings.ends);
+            return true;
+        } catch (error) {
+            console.warn('Could not load speech timings:', error);
+            return false;
+        }
+    }
+
+    // Returns an object URL that plays audio chunks (an async iterable of Uint8Array) while they
+    // are still downloading. onComplete receives the whole clip as a Blob once the stream has finished,
+    // or null if it broke off.
+    createStreamingSource(chunks, onComplete) {
+        const mediaSource = new MediaSource();
+        const audioUrl = URL.createObjectURL(mediaSource);
+
+        mediaSource.addEventListener('sourceopen', async () => {
+            const sourceBuffer = mediaSource.addSourceBuffer('audio/mpeg');
+            const received = [];
+
+            try {
+                for await (const chunk of chunks) {
+                    // Playback was cancelled - leaving the loop stops the download
+                    if (mediaSource.readyState !== 'open') return;
+
+                    received.push(chunk);
+                    await appendToSourceBuffer(sourceBuffer, chunk);
+                }
+
+                if (mediaSource.readyState === 'open') mediaSource.endOfStream();
+                onComplete(new Blob(received, { type: 'audio/mpeg' }));
+            } catch (error) {
+                // Appends fail once playback is cancelled and the source closes; that is expected
+                if (mediaSource.readyState === 'closed') return;
+                console.error('Audio stream error:', error);
+                // Play out what arrived; the element then ends normally
+                if (mediaSource.readyState === 'open') mediaSource.endOfStream();
+                onComplete(null);
+            }
+        }, { once: true });
+
+        return audioUrl;
+    }
+
+    // Calls onBoundary for each word as playback reaches its start time.
+    // alignment may still be empty when playback starts, until loadAlignment fills it in.
+    trackWordBoundaries(audio, alignment, onBoundary) {
+        let words = [];
+        let alignedCharacters = -1;
+        let next = 0;
+
+        const tick = () => {
+            // Stopped, replaced or finished
+            if (this.currentAudio !== audio || audio.ended) return;
+
+            if (alignment.characters.length !== alignedCharacters) {
+                alignedCharacters = alignment.characters.length;
+                words = wordsFromAlignment(alignment);
+            }
+            while (next < words.length && words[next].start <= audio.currentTime) {
+                const { charIndex, charLength } = words[next++];
+                onBoundary({ charIndex, charLength });
+            }
+            requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    }
+
+    speakWithWebSpeechAPI(text, onStart, onEnd, onBoundary = null) {
         // Cancel any current speech
         this.cancelSpeech();
 
@@ -176,18 +703,32 @@ export class AudioService {
             window.speechSynthesis.cancel();
 
             const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = this.speechLanguage;
+            if (this.webSpeechVoice) utterance.voice = this.webSpeechVoice;
             
             // Set up event handlers
             utterance.onstart = () => {
+                // Synthesized speech cannot be analysed, so lip sync estimates it from word boundaries
+                this.envelope.useWordEstimates();
                 if (onStart) onStart();
             };
 
             utterance.onend = () => {
+                this.envelope.stop();
                 if (onEnd) onEnd();
             };
 
+            utterance.onboundary = (event) => {
+                if (event.name !== 'word') return;
+                // Some engines leave charLength at 0
+                const charLength = event.charLength || (text.slice(event.charIndex).match(/^\S+/) || [''])[0].length;
+                this.envelope.onWord(text.slice(event.charIndex, event.charIndex + charLength));
+                if (onBoundary) onBoundary({ charIndex: event.charIndex, charLength });
+            };
+
             utterance.onerror = (error) => {
                 console.error('Web Speech API error:', error);
+                this.envelope.stop();
                 if (onEnd) onEnd();
             };
 
@@ -201,14 +742,10 @@ export class AudioService {
 
     cancelSpeech() {
         if (this.currentAudio) {
-            this.currentAudio.pause();
-            this.currentAudio.currentTime = 0;
-            // Clean up blob URL if possible
-            if (this.currentAudio.src && this.currentAudio.src.startsWith('blob:')) {
-                URL.revokeObjectURL(this.currentAudio.src);
-            }
-            this.currentAudio = null;
+            this.discardClip({ audio: this.currentAudio, audioUrl: this.currentAudio.src });
+            this.releaseAudio();
         }
+        this.envelope.stop();
         
         // Also cancel Web Speech API if active
         if ('speechSynthesis' in window) {
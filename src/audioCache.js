@@ -0,0 +1,84 @@
+// Browser-side cache of synthesized speech in IndexedDB, keyed by ttsCacheKey() (see tts.js),
+// so phrases the guide repeats play without another round trip. Every method degrades to a
+// cache miss when IndexedDB is unavailable (private browsing, storage disabled).
+
+const DB_NAME = 'xfast-tts';
+const STORE_NAME = 'clips';
+const DB_VERSION = 1;
+
+export class AudioCache {
+    constructor({ maxEntries = 200 } = {}) {
+        this.maxEntries = maxEntries;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB not supported'));
+                    return;
+                }
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('storedAt', 'storedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs fn(store) in a transaction and resolves with the value of the request it returns
+    async run(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = fn(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Resolves with { blob, alignment } (alignment is null for clips stored without word timings), or null
+    async get(key) {
+        if (!key) return null;
+        try {
+            const entry = await this.run('readonly', store => store.get(key));
+            return entry ? { blob: entry.blob, alignment: entry.alignment || null } : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async set(key, blob, alignment = null) {
+        if (!key) return;
+        try {
+            await this.run('readwrite', store => store.put({ key, blob, alignment, storedAt: Date.now() }));
+            await this.prune();
+        } catch (e) {
+            console.warn('Could not cache speech audio:', e);
+        }
+    }
+
+    // Drops the oldest clips once there are more than maxEntries
+    async prune() {
+        const count = await this.run('readonly', store => store.count());
+        if (count <= this.maxEntries) return;
+
+        let excess = count - this.maxEntries;
+        await this.run('readwrite', store => {
+            store.index('storedAt').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || excess <= 0) return;
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            return null;
+        });
+    }
+}
@@ -0,0 +1,162 @@
+import { normalizeText, similarity } from './textMatch.js';
+
+// Words too common to say anything about a project
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'about', 'any', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'have',
+    'i', 'in', 'is', 'it', 'its', 'like', 'me', 'my', 'of', 'on', 'one', 'or', 'show', 'some', 'something',
+    'that', 'the', 'this', 'to', 'want', 'was', 'what', 'with', 'you', 'your', 'work', 'project'
+]);
+
+// Title hits below this similarity are not considered a match
+const TITLE_MATCH_THRESHOLD = 0.8;
+// Query terms missing from the vocabulary are mapped to a close vocabulary term above this similarity
+const TYPO_MATCH_THRESHOLD = 0.75;
+// Score multiplier for terms that only matched through typo correction
+const TYPO_PENALTY = 0.6;
+
+// Lowercased word tokens with stopwords removed and plurals folded ("clouds" -> "cloud", "memories" -> "memory")
+export function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(singularize);
+}
+
+function singularize(token) {
+    if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+// Ranked search over the project catalog: BM25 across title, keywords and description
+// (weighted per field), with typo-tolerant matching for whole titles.
+export class CatalogSearch {
+    constructor(projects, { k1 = 1.2, b = 0.75, fieldWeights = { title: 3, keywords: 2, description: 1 } } = {}) {
+        this.projects = projects;
+        this.k1 = k1;
+        this.b = b;
+        this.fieldWeights = fieldWeights;
+
+        this.buildIndex();
+    }
+
+    buildIndex() {
+        // Per-document weighted term frequencies and lengths
+        this.documents = this.projects.map(project => {
+            const termFrequencies = new Map();
+            let length = 0;
+
+            for (const [field, weight] of Object.entries(this.fieldWeights)) {
+                const value = Array.isArray(project[field]) ? project[field].join(' ') : project[field];
+                for (const token of tokenize(value)) {
+                    termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+                    length += weight;
+                }
+            }
+
+            return { project, termFrequencies, length };
+        });
+
+        this.averageLength = this.documents.reduce((sum, d) => sum + d.length, 0) / (this.documents.length || 1);
+
+        // Document frequency per term
+        this.documentFrequencies = new Map();
+        for (const doc of this.documents) {
+            for (const term of doc.termFrequencies.keys()) {
+                this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+            }
+        }
+    }
+
+    // Maps query tokens onto vocabulary terms, tolerating small typos.
+    // Returns [{ term, weight }], where weight is reduced for corrected terms.
+    resolveQueryTerms(query) {
+        const terms = [];
+        for (const token of tokenize(query)) {
+            if (this.documentFrequencies.has(token)) {
+                terms.push({ term: token, weight: 1 });
+                continue;
+            }
+            if (token.length < 4) continue;
+
+            let bestTerm = null;
+            let bestScore = 0;
+            for (const term of this.documentFrequencies.keys()) {
+                const score = similarity(token, term);
+                if (score > bestScore) {
+                    bestTerm = term;
+                    bestScore = score;
+                }
+            }
+            if (bestScore >= TYPO_MATCH_THRESHOLD) {
+                terms.push({ term: bestTerm, weight: TYPO_PENALTY });
+            }
+        }
+        return terms;
+    }
+
+    idf(term) {
+        const n = this.documents.length;
+        const df = this.documentFrequencies.get(term) || 0;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    // How closely the query names a project title or id (0-1), comparing against
+    // every run of query words as long as the title so "show me kitchn chaos" still hits.
+    titleScore(query, project) {
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        let best = 0;
+
+        for (const name of [project.title, project.id]) {
+            const target = normalizeText(name);
+            if (!target) continue;
+
+            const normalizedQuery = normalizeText(query);
+            if (normalizedQuery.includes(target)) return 1;
+
+            const titleWordCount = String(name).split(/[\s-]+/).filter(Boolean).length;
+            for (let size = Math.max(1, titleWordCount - 1); size <= titleWordCount + 1; size++) {
+                for (let i = 0; i + size <= words.length; i++) {
+                    const window = normalizeText(words.slice(i, i + size).join(' '));
+                    best = Math.max(best, similarity(window, target));
+                }
+            }
+        }
+        return best;
+    }
+
+    // Returns up to `limit` results as { project, score, titleScore }, best first
+    search(query, limit = 3) {
+        const terms = this.resolveQueryTerms(query);
+
+        const results = this.documents.map(doc => {
+            let score = 0;
+            for (const { term, weight } of terms) {
+                const tf = doc.termFrequencies.get(term);
+                if (!tf) continue;
+                const norm = tf + this.k1 * (1 - this.b + this.b * doc.length / this.averageLength);
+                score += weight * this.idf(term) * (tf * (this.k1 + 1)) / norm;
+            }
+
+            const titleScore = this.titleScore(query, doc.project);
+            if (titleScore >= TITLE_MATCH_THRESHOLD) {
+                // A named title outranks any keyword overlap
+                score += 10 * titleScore;
+            }
+
+            return { project: doc.project, score, titleScore };
+        });
+
+        return results
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    // The single project whose title the query clearly names, or null when none or several do
+    findTitleMatch(query) {
+        const hits = this.projects.filter(p => this.titleScore(query, p) >= TITLE_MATCH_THRESHOLD);
+        return hits.length === 1 ? hits[0] : null;
+    }
+}
@@ -0,0 +1,111 @@
+// Rough token estimate - close enough for budgeting without shipping a tokenizer
+const CHARS_PER_TOKEN = 4;
+
+// Longest message and summary kept, and the most history sent in one request.
+// The /api/openrouter proxy refuses anything over these (see api/_lib/chatRequest.js).
+export const MAX_MESSAGE_LENGTH = 2000;
+export const MAX_SUMMARY_LENGTH = 1500;
+export const MAX_REQUEST_MESSAGES = 40;
+export const MAX_REQUEST_LENGTH = 20000;
+
+// Cuts text down to maxLength, at a word break where there is one near the end
+export function truncateText(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > maxLength * 0.8 ? cut.slice(0, lastSpace) : cut).trimEnd();
+}
+
+// The most recent messages that fit in one request, each cut down to MAX_MESSAGE_LENGTH.
+// Compaction normally keeps the history well under this; it catches long corrective notes
+// and summaries of unusually long stretches.
+export function limitConversation(messages) {
+    const limited = [];
+    let totalLength = 0;
+    for (let i = messages.length - 1; i >= 0 && limited.length < MAX_REQUEST_MESSAGES; i--) {
+        const message = messages[i];
+        const content = truncateText(message.content, MAX_MESSAGE_LENGTH);
+        if (totalLength + content.length > MAX_REQUEST_LENGTH) break;
+        totalLength += content.length;
+        limited.unshift(content === message.content ? message : { ...message, content });
+    }
+    return limited;
+}
+
+// Conversation history for the agent, kept within a token budget.
+// The last few turns stay verbatim; older turns are folded into a running summary
+// produced by the model. Hidden system notes (e.g. the post-viewing follow-up
+// instruction) are never folded away.
+export class ConversationMemory {
+    // summarize(previousSummary, messages) -> Promise<string>
+    constructor(summarize, { tokenBudget = 1500, keepRecentTurns = 4 } = {}) {
+        this.summarize = summarize;
+        this.tokenBudget = tokenBudget;
+        this.keepRecentTurns = keepRecentTurns;
+
+        this.messages = [];
+        this.summary = '';
+        // Total visitor turns, including the ones folded into the summary
+        this.userTurnCount = 0;
+
+        this.compacting = null;
+    }
+
+    add(message) {
+        if (message.content.length > MAX_MESSAGE_LENGTH) {
+            message = { ...message, content: truncateText(message.content, MAX_MESSAGE_LENGTH) };
+        }
+        this.messages.push(message);
+        if (message.role === 'user') {
+            this.userTurnCount++;
+        }
+    }
+
+    getMessages() {
+        return [...this.messages];
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+    }
+
+    getTokenCount() {
+        const messageTokens = this.messages.reduce((sum, m) => sum + this.estimateTokens(m.content), 0);
+        return messageTokens + this.estimateTokens(this.summary);
+    }
+
+    // Folds older turns into the summary once the budget is exceeded.
+    // Safe to call after every turn; concurrent calls share one summarization.
+    compact() {
+        if (this.compacting) return this.compacting;
+        if (this.getTokenCount() <= this.tokenBudget) return Promise.resolve();
+
+        // Everything before the Nth most recent user message is eligible for folding
+        const userIndexes = this.messages
+            .map((m, i) => (m.role === 'user' ? i : -1))
+            .filter(i => i !== -1);
+        if (userIndexes.length <= this.keepRecentTurns) return Promise.resolve();
+
+        const splitIndex = userIndexes[userIndexes.length - this.keepRecentTurns];
+        const folded = this.messages.slice(0, splitIndex).filter(m => m.role !== 'system');
+        if (folded.length === 0) return Promise.resolve();
+
+        this.compacting = this.summarize(this.summary, folded)
+            .then((summary) => {
+                if (!summary) return;
+                this.summary = truncateText(summary, MAX_SUMMARY_LENGTH);
+                // Messages may have been added meanwhile, so remove the folded ones by identity
+                const foldedSet = new Set(folded);
+                this.messages = this.messages.filter(m => !foldedSet.has(m));
+            })
+            .catch((error) => {
+                // Keep the full history and try again after the next turn
+                console.error('Conversation summarization failed:', error);
+            })
+            .finally(() => {
+                this.compacting = null;
+            });
+
+        return this.compacting;
+    }
+}
@@ -0,0 +1,158 @@
+// Hands-free conversation: the mic re-arms after each reply, voice activity detection ends the
+// visitor's turn, and talking over the guide interrupts it (barge-in).
+//
+// States:
+//   off       - push-to-talk only (the mic button)
+//   listening - recognising the visitor's turn
+//   thinking  - waiting for the agent's reply
+//   speaking  - the agent is talking; the visitor may barge in
+//   paused    - the visitor is viewing a project; listening resumes after the next reply
+
+// Pause before re-arming recognition that ended without a transcript, so a recogniser that
+// keeps failing doesn't spin
+const REARM_DELAY_MS = 250;
+
+export class ConversationMode {
+    // Callbacks:
+    //   onResult(result)   - interim and final recognition updates (see AudioService.startListening)
+    //   onTranscript(text, result) - the visitor finished a turn
+    //   onBargeIn()        - the visitor started talking over the guide; stop its speech
+    //   onStateChange(state)
+    //   onError(error)     - the mode had to turn itself off (e.g. mic permission denied)
+    //   canListen()        - false while listening should wait (see paused)
+    constructor(audioService, callbacks = {}) {
+        this.audioService = audioService;
+        this.callbacks = callbacks;
+        this.canListen = callbacks.canListen || (() => true);
+
+        this.state = 'off';
+        this.result = null;
+        this.rearmTimer = null;
+        this.vad = audioService.createVoiceActivityDetector({
+            onSpeechStart: () => this.handleSpeechStart(),
+            onSpeechEnd: () => this.handleSpeechEnd()
+        });
+    }
+
+    get isActive() {
+        return this.state !== 'off';
+    }
+
+    // Rejects if the microphone is unavailable, leaving the mode off
+    async start() {
+        if (this.isActive) return;
+        await this.vad.start();
+        this.setState('listening');
+        this.listen();
+    }
+
+    stop() {
+        if (!this.isActive) return;
+        clearTimeout(this.rearmTimer);
+        this.vad.stop();
+        this.setState('off');
+        this.audioService.stopListening();
+    }
+
+    async toggle() {
+        if (this.isActive) {
+            this.stop();
+        } else {
+            await this.start();
+        }
+    }
+
+    // Ends the visitor's turn now instead of waiting for silence
+    endTurn() {
+        if (this.state === 'listening') this.audioService.stopListening();
+    }
+
+    // Hooks for the app's reply cycle
+
+    agentThinking() {
+        if (!this.isActive) return;
+        clearTimeout(this.rearmTimer);
+        this.setState('thinking');
+        this.audioService.stopListening();
+    }
+
+    agentSpeaking() {
+        if (!this.isActive) return;
+        clearTimeout(this.rearmTimer);
+        this.setState('speaking');
+        this.audioService.stopListening();
+        this.vad.reset();
+        this.vad.setStrict(true);
+    }
+
+    agentFinished() {
+        if (this.state === 'speaking' || this.state === 'thinking' || this.state === 'paused') {
+            this.listen();
+        }
+    }
+
+    listen() {
+        if (!this.isActive) return;
+        clearTimeout(this.rearmTimer);
+        this.vad.setStrict(false);
+        if (!this.canListen()) {
+            this.setState('paused');
+            return;
+        }
+
+        this.result = null;
+        this.setState('listening');
+        this.audioService.startListening(
+            (result) => {
+                this.result = result;
+                if (this.callbacks.onResult) this.callbacks.onResult(result);
+            },
+            () => this.handleRecognitionEnd(),
+            (error) => this.handleRecognitionError(error),
+            { continuous: true }
+        );
+    }
+
+    handleRecognitionEnd() {
+        // Recognition stopped because the agent took over
+        if (this.state !== 'listening') return;
+
+        const text = this.result ? this.result.transcript : '';
+        if (text) {
+            this.setState('thinking');
+            if (this.callbacks.onTranscript) this.callbacks.onTranscript(text, this.result);
+            return;
+        }
+
+        // The recogniser gave up on silence - keep listening
+        clearTimeout(this.rearmTimer);
+        this.rearmTimer = setTimeout(() => {
+            if (this.state === 'listening') this.listen();
+        }, REARM_DELAY_MS);
+    }
+
+    handleRecognitionError(error) {
+        // Anything else ends the session and is retried from handleRecognitionEnd
+        if (error !== 'not-allowed' && error !== 'service-not-allowed' && error !== 'Speech API not supported') return;
+        this.stop();
+        if (this.callbacks.onError) this.callbacks.onError(error);
+    }
+
+    handleSpeechStart() {
+        if (this.state !== 'speaking') return;
+        if (this.callbacks.onBargeIn) this.callbacks.onBargeIn();
+        // Stopping the reply may already have handed the turn back (see agentFinished)
+        if (this.state === 'speaking') this.listen();
+    }
+
+    handleSpeechEnd() {
+        // Stopping makes the recogniser deliver what it heard, which then ends the turn
+        this.endTurn();
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.callbacks.onStateChange) this.callbacks.onStateChange(state);
+    }
+}
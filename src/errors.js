@@ -0,0 +1,26 @@
+// Thrown by LLMService when every attempt to reach the model failed
+export class LLMUnavailableError extends Error {
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'LLMUnavailableError';
+        this.cause = cause;
+    }
+}
+
+// Thrown when one of our API proxies answers with an error status other than 429
+export class ApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+// Thrown when one of our API proxies answers 429; retryAfter is in seconds
+export class RateLimitError extends Error {
+    constructor(message, retryAfter = 30) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
@@ -1,4 +1,17 @@
 import { gsap } from 'gsap';
+import { VISEMES, EXPRESSION_MOUTHS, MOUTH_CENTER, blendShapes, mouthPath } from './visemes.js';
+
+// How quickly the mouth follows the current viseme, in seconds
+const MOUTH_SMOOTHING = 0.05;
+
+// Eye radius and height per expression
+const EYE_SHAPES = {
+    neutral: { r: 8, cy: 70 },
+    happy: { r: 6, cy: 70 },
+    surprised: { r: 12, cy: 70 },
+    curious: { r: 10, cy: 68 },
+    thoughtful: { r: 6, cy: 65 }
+};
 
 export class FaceManager {
     constructor() {
@@ -27,8 +40,9 @@ export class FaceManager {
         
         // Animation timelines
         this.expressionTimeline = null;
-        this.blinkInterval = null;
+        this.blinkTimer = null;
         this.talkingTimeline = null;
+        this.talkingRafId = null;
         
         // Throttling for mouse updates
         this.pendingMouseUpdate = null;
@@ -126,20 +140,55 @@ export class FaceManager {
         svg.appendChild(noseGroup);
         this.elements.nose = noseGroup;
         
-        // Mouth (horizontal line)
+        // Mouth (morphable path, closed into a line at rest) with upper teeth behind it
         const mouthGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         mouthGroup.setAttribute('class', 'face-element mouth');
-        const mouth = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        mouth.setAttribute('x1', '85');
-        mouth.setAttribute('y1', '130');
-        mouth.setAttribute('x2', '115');
-        mouth.setAttribute('y2', '130');
+        const mouth = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        mouth.setAttribute('fill', '#2a2a2a');
         mouth.setAttribute('stroke', '#2a2a2a');
         mouth.setAttribute('stroke-width', '3');
         mouth.setAttribute('stroke-linecap', 'round');
+        mouth.setAttribute('stroke-linejoin', 'round');
+        const teeth = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        teeth.setAttribute('stroke', '#f2f2f2');
+        teeth.setAttribute('stroke-width', '2');
+        teeth.setAttribute('stroke-linecap', 'round');
         mouthGroup.appendChild(mouth);
+        mouthGroup.appendChild(teeth);
         svg.appendChild(mouthGroup);
         this.elements.mouth = mouthGroup;
+        this.mouthPath = mouth;
+        this.teeth = teeth;
+
+        // Current mouth shape; tweened by expressions, driven per frame while talking
+        this.mouthShape = { ...VISEMES.rest };
+        this.renderMouth();
+    }
+
+    renderMouth() {
+        const shape = this.mouthShape;
+        this.mouthPath.setAttribute('d', mouthPath(shape));
+
+        // Teeth sit just under the upper lip and only show while the mouth is open
+        const opening = Math.max(0, Math.min(1, (shape.upper + shape.lower) / 4));
+        const y = MOUTH_CENTER.y + shape.corner / 2 - shape.upper + 1.5;
+        const halfWidth = shape.halfWidth * 0.55;
+        this.teeth.setAttribute('x1', MOUTH_CENTER.x - halfWidth);
+        this.teeth.setAttribute('x2', MOUTH_CENTER.x + halfWidth);
+        this.teeth.setAttribute('y1', y);
+        this.teeth.setAttribute('y2', y);
+        this.teeth.setAttribute('opacity', shape.teeth * opening);
+    }
+
+    // Tweens the mouth to a shape from visemes.js
+    tweenMouth(shape, vars = {}) {
+        gsap.killTweensOf(this.mouthShape);
+        return gsap.to(this.mouthShape, {
+            ...shape,
+            duration: 0.3,
+            ...vars,
+            onUpdate: () => this.renderMouth()
+        });
     }
     
     updatePosition(screenX, screenY) {
@@ -234,7 +283,18 @@ export class FaceManager {
         }, 0);
     }
     
+    // Expressions (see EYE_SHAPES) persist until the next one; 'blink' and 'wink' are
+    // one-off gestures played over the current expression.
     setExpression(type) {
+        if (type === 'blink') {
+            this.blink();
+            return;
+        }
+        if (type === 'wink') {
+            this.wink();
+            return;
+        }
+        if (!EYE_SHAPES[type]) type = 'neutral';
         if (this.currentExpression === type) return;
         this.currentExpression = type;
         
@@ -246,139 +306,106 @@ export class FaceManager {
         this.expressionTimeline = gsap.timeline();
         
         switch (type) {
-            case 'neutral':
-                this.setNeutralExpression();
-                break;
             case 'happy':
                 this.setHappyExpression();
                 break;
             case 'surprised':
                 this.setSurprisedExpression();
                 break;
-            case 'wink':
-                this.setWinkExpression();
+            case 'curious':
+                this.setCuriousExpression();
                 break;
-            case 'blink':
-                this.blink();
+            case 'thoughtful':
+                this.setThoughtfulExpression();
                 break;
             default:
                 this.setNeutralExpression();
         }
     }
+
+    getEyes() {
+        return [
+            this.elements.leftEye.querySelector('circle'),
+            this.elements.rightEye.querySelector('circle')
+        ];
+    }
+
+    tweenEyes(shape, vars = {}) {
+        this.expressionTimeline.to(this.getEyes(), {
+            attr: shape,
+            duration: 0.3,
+            ...vars
+        }, 0);
+    }
+
+    // While talking, lip sync owns the mouth and picks up the expression's shape as its resting pose
+    tweenExpressionMouth(vars = {}) {
+        if (this.talkingRafId || this.talkingTimeline) return;
+        this.tweenMouth(EXPRESSION_MOUTHS[this.currentExpression], vars);
+    }
     
     setNeutralExpression() {
-        // Reset all elements to neutral state
-        const leftEye = this.elements.leftEye.querySelector('circle');
-        const rightEye = this.elements.rightEye.querySelector('circle');
-        const mouth = this.elements.mouth.querySelector('line');
-        
         // Eyes: open circles
-        gsap.to(leftEye, {
-            attr: { r: 8 },
-            duration: 0.3
-        });
-        gsap.to(rightEye, {
-            attr: { r: 8 },
-            duration: 0.3
-        });
-        
-        // Mouth: horizontal line
-        gsap.to(mouth, {
-            attr: {
-                x1: 85,
-                y1: 130,
-                x2: 115,
-                y2: 130
-            },
-            duration: 0.3
-        });
+        this.tweenEyes(EYE_SHAPES.neutral);
+        // Mouth: closed horizontal line
+        this.tweenExpressionMouth();
     }
     
     setHappyExpression() {
-        const leftEye = this.elements.leftEye.querySelector('circle');
-        const rightEye = this.elements.rightEye.querySelector('circle');
-        const mouth = this.elements.mouth.querySelector('line');
-        
         // Eyes: slightly smaller (squinting)
-        gsap.to([leftEye, rightEye], {
-            attr: { r: 6 },
-            duration: 0.3
-        });
-        
-        // Mouth: upward curve by adjusting y positions
-        gsap.to(mouth, {
-            attr: {
-                x1: 85,
-                y1: 125,
-                x2: 115,
-                y2: 125
-            },
-            duration: 0.3,
-            ease: 'back.out(1.7)'
-        });
+        this.tweenEyes(EYE_SHAPES.happy);
+        // Mouth: smile, corners raised
+        this.tweenExpressionMouth({ ease: 'back.out(1.7)' });
     }
     
     setSurprisedExpression() {
-        const leftEye = this.elements.leftEye.querySelector('circle');
-        const rightEye = this.elements.rightEye.querySelector('circle');
-        const mouth = this.elements.mouth.querySelector('line');
-        
         // Eyes: larger circles
-        gsap.to([leftEye, rightEye], {
-            attr: { r: 12 },
-            duration: 0.3,
-            ease: 'back.out(1.7)'
-        });
-        
-        // Mouth: open (smaller line)
-        gsap.to(mouth, {
-            attr: {
-                x1: 100,
-                y1: 130,
-                x2: 100,
-                y2: 130
-            },
-            duration: 0.3
-        });
+        this.tweenEyes(EYE_SHAPES.surprised, { ease: 'back.out(1.7)' });
+        // Mouth: small open "o"
+        this.tweenExpressionMouth();
+    }
+
+    setCuriousExpression() {
+        // Eyes: a little wider and raised, attentive
+        this.tweenEyes(EYE_SHAPES.curious, { ease: 'back.out(1.7)' });
+        // Mouth: short and slightly parted
+        this.tweenExpressionMouth();
+    }
+
+    setThoughtfulExpression() {
+        // Eyes: narrowed and looking up
+        this.tweenEyes(EYE_SHAPES.thoughtful, { duration: 0.5 });
+        // Mouth: pressed, corners slightly down
+        this.tweenExpressionMouth({ duration: 0.5 });
     }
     
-    setWinkExpression() {
-        const leftEye = this.elements.leftEye.querySelector('circle');
-        const rightEye = this.elements.rightEye.querySelector('circle');
+    wink() {
+        const [leftEye] = this.getEyes();
+        const { r } = EYE_SHAPES[this.currentExpression];
         
-        // Left eye: close (line)
+        // Left eye: close (line), then reopen after a moment
         gsap.to(leftEye, {
             attr: { r: 0 },
             duration: 0.2
         });
-        
-        // Right eye: open
-        gsap.to(rightEye, {
-            attr: { r: 8 },
-            duration: 0.2
-        });
-        
-        // After a moment, reopen left eye
-        gsap.delayedCall(0.5, () => {
-            gsap.to(leftEye, {
-                attr: { r: 8 },
-                duration: 0.2
-            });
+        gsap.to(leftEye, {
+            attr: { r },
+            duration: 0.2,
+            delay: 0.5
         });
     }
     
     blink() {
-        const leftEye = this.elements.leftEye.querySelector('circle');
-        const rightEye = this.elements.rightEye.querySelector('circle');
-        const currentRadius = parseFloat(leftEye.getAttribute('r')) || 8;
+        // Reopen to the expression's radius rather than whatever a running tween left behind
+        const { r } = EYE_SHAPES[this.currentExpression];
         
         // Quick blink
-        gsap.to([leftEye, rightEye], {
+        gsap.to(this.getEyes(), {
             attr: { r: 0 },
             duration: 0.1
         });
-        gsap.to([leftEye, rightEye], {
-            attr: { r: currentRadius },
+        gsap.to(this.getEyes(), {
+            attr: { r },
             duration: 0.1,
             delay: 0.1
         });
@@ -386,58 +413,73 @@ export class FaceManager {
     
     // Random expression changes for programmatic animation
     randomExpression() {
-        const expressions = ['neutral', 'happy', 'surprised', 'wink', 'blink'];
+        const expressions = ['neutral', 'happy', 'surprised', 'curious', 'thoughtful', 'wink', 'blink'];
         const randomExpr = expressions[Math.floor(Math.random() * expressions.length)];
         this.setExpression(randomExpr);
     }
     
-    // Periodic blinking
+    // Periodic blinking at a natural, irregular rhythm (every 2.5-6 seconds)
     startAutoBlink() {
-        this.blinkInterval = setInterval(() => {
-            if (this.currentExpression === 'neutral') {
-                this.blink();
-            }
-        }, 3000 + Math.random() * 2000); // Blink every 3-5 seconds
+        const scheduleBlink = () => {
+            this.blinkTimer = setTimeout(() => {
+                // Wide surprised eyes hold still
+                if (this.currentExpression !== 'surprised') {
+                    this.blink();
+                }
+                scheduleBlink();
+            }, 2500 + Math.random() * 3500);
+        };
+        scheduleBlink();
     }
     
-    // Start mouth animation for TTS
-    startTalkingAnimation() {
+    // Start mouth animation for TTS.
+    // getSpeech() returns { level, viseme }: the current speech loudness (0-1) and mouth shape
+    // name from visemes.js. Without it the mouth loops a generic open/close cycle.
+    startTalkingAnimation(getSpeech = null) {
         // Don't start if already talking
-        if (this.talkingTimeline) {
+        if (this.talkingTimeline || this.talkingRafId) {
+            return;
+        }
+
+        if (getSpeech) {
+            this.startLipSync(getSpeech);
             return;
         }
-        
-        const mouth = this.elements.mouth.querySelector('line');
-        if (!mouth) return;
         
         // Create repeating animation timeline
-        // Each cycle: open (mouth gets wider and moves down slightly) then close
+        // Each cycle: open then close
         // Animation speed: ~2.5 cycles per second (0.4s per cycle)
-        this.talkingTimeline = gsap.timeline({ repeat: -1 });
-        
-        // Open mouth: wider line, slightly lower
-        this.talkingTimeline.to(mouth, {
-            attr: {
-                x1: 80,
-                y1: 135,
-                x2: 120,
-                y2: 135
-            },
-            duration: 0.2,
-            ease: 'power2.inOut'
-        });
-        
-        // Close mouth: narrower line, back to neutral position
-        this.talkingTimeline.to(mouth, {
-            attr: {
-                x1: 90,
-                y1: 130,
-                x2: 110,
-                y2: 130
-            },
-            duration: 0.2,
-            ease: 'power2.inOut'
-        });
+        gsap.killTweensOf(this.mouthShape);
+        this.talkingTimeline = gsap.timeline({ repeat: -1, onUpdate: () => this.renderMouth() });
+        this.talkingTimeline.to(this.mouthShape, { ...VISEMES.open, duration: 0.2, ease: 'power2.inOut' });
+        this.talkingTimeline.to(this.mouthShape, { ...VISEMES.mid, duration: 0.2, ease: 'power2.inOut' });
+    }
+
+    // Morphs toward the current viseme every frame, opened as far as the speech is loud,
+    // so the mouth closes on pauses and opens wider on emphasis
+    startLipSync(getSpeech) {
+        gsap.killTweensOf(this.mouthShape);
+        let lastTime = performance.now();
+
+        const update = (time) => {
+            const dt = Math.min(0.1, (time - lastTime) / 1000);
+            lastTime = time;
+
+            const { level, viseme } = getSpeech();
+            const shape = VISEMES[viseme] || VISEMES.mid;
+            // Pressed lips stay pressed however loud the syllable is
+            const amount = viseme === 'closed' ? 1 : Math.max(0, Math.min(1, level * 1.4));
+            // Between sounds the mouth rests in the current expression (e.g. still smiling)
+            const target = blendShapes(EXPRESSION_MOUTHS[this.currentExpression], shape, amount);
+
+            const follow = 1 - Math.exp(-dt / MOUTH_SMOOTHING);
+            for (const key of Object.keys(target)) {
+                this.mouthShape[key] += (target[key] - this.mouthShape[key]) * follow;
+            }
+            this.renderMouth();
+            this.talkingRafId = requestAnimationFrame(update);
+        };
+        this.talkingRafId = requestAnimationFrame(update);
     }
     
     // Stop mouth animation and return to neutral
@@ -446,21 +488,16 @@ export class FaceManager {
             this.talkingTimeline.kill();
             this.talkingTimeline = null;
         }
-        
-        // Return mouth to neutral position
-        const mouth = this.elements.mouth.querySelector('line');
-        if (mouth) {
-            gsap.to(mouth, {
-                attr: {
-                    x1: 85,
-                    y1: 130,
-                    x2: 115,
-                    y2: 130
-                },
-                duration: 0.2,
-                ease: 'power2.out'
-            });
+        if (this.talkingRafId) {
+            cancelAnimationFrame(this.talkingRafId);
+            this.talkingRafId = null;
         }
+        
+        // Return mouth to the current expression's resting shape
+        this.tweenMouth(EXPRESSION_MOUTHS[this.currentExpression] || EXPRESSION_MOUTHS.neutral, {
+            duration: 0.2,
+            ease: 'power2.out'
+        });
     }
     
     destroy() {
@@ -470,14 +507,17 @@ export class FaceManager {
         if (this.talkingTimeline) {
             this.talkingTimeline.kill();
         }
+        if (this.talkingRafId) {
+            cancelAnimationFrame(this.talkingRafId);
+        }
         if (this.mouseUpdateTimeline) {
             this.mouseUpdateTimeline.kill();
         }
         if (this.mouseUpdateRafId !== null) {
             cancelAnimationFrame(this.mouseUpdateRafId);
         }
-        if (this.blinkInterval) {
-            clearInterval(this.blinkInterval);
+        if (this.blinkTimer) {
+            clearTimeout(this.blinkTimer);
         }
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
@@ -0,0 +1,172 @@
+import { rankProjects } from './tasteProfile.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+
+// Rule-based stand-in for the agent while the LLM is unreachable.
+// Keeps the visitor on the site: asks discovery questions built from project keywords,
+// recommends unviewed projects (best taste-profile match first) and handles yes/no/show me/next locally.
+// Produces the same { action, message, projectId } responses as LLMService.
+
+const INTENT_PATTERNS = [
+    // Checked in order - declines and requests for something else first, so "no thanks" or
+    // "sure, but not this one" are not read as a yes. A bare "no" only counts at the start of the
+    // reply, and "don't" only when it turns the offer down, so "don't stop, show me more" is not a
+    // decline. Accepting takes a short reply that starts with the yes (or is one, in Chinese), so
+    // a "please" or a 好 inside a longer message ("another one please", 你好) doesn't take the offer.
+    { intent: 'decline', pattern: /^\s*(no|nope|nah)\b|\b(not really|not now|not interested|not (this|that)( one)?|rather not|no thanks|no thank you|pass|skip (it|this|that))\b|\b(don'?t|do not) (want|like|think|feel like|care|need)\b|^\s*(不|算了)|不想|不喜欢|没兴趣|跳过/i },
+    { intent: 'next', pattern: /\b(next|another|other|more|different|else)\b|下一个|换一个|别的|其他|更多/i },
+    { intent: 'accept', pattern: /^\s*(yes|yeah|yep|yup|sure|ok|okay|alright|absolutely|of course|go ahead|let'?s see|sounds good|please do)\b|^\s*(please|show me|i'?d like (that|to see it)|i would like (that|to see it))\s*[.!]*\s*$|^\s*(好|可以|行)[吧啊的呀]?[。！!.]*\s*$|^\s*(好的|当然|想看|要看)/i },
+    { intent: 'show', pattern: /\b(show me|surprise me|anything|your best|whatever|you choose|you pick)\b|给我看|随便|你选|你来选|推荐/i }
+];
+
+// Discovery questions before the curator recommends something regardless
+const MAX_DISCOVERY_QUESTIONS = 2;
+
+// Lines that do not depend on what the visitor typed, listed so their audio can be
+// pre-rendered (see fixedCuratorLines and scripts/prerender-tts.js). The wording is in i18n.js.
+const LINES = {
+    welcomeBack: (language) => t('curator.welcomeBack', language),
+    redirectAccepted: (language) => t('curator.redirectAccepted', language),
+    allViewed: (language, redirectUrl) => t('curator.allViewed', language, { site: redirectUrl.replace(/^https?:\/\//, '') }),
+    namedRevisit: (language, project) => t('curator.namedRevisit', language, { title: project.title }),
+    named: (language, project) => t('curator.named', language, { title: project.title }),
+    present: (language, project) => t('curator.present', language, { title: project.title }),
+    howAbout: (language, project) => t('curator.howAbout', language, { title: project.title, description: firstSentence(project.description) })
+};
+
+// Every LINES message the curator can produce for this catalog in language
+export function fixedCuratorLines(projects, redirectUrl, language = DEFAULT_LANGUAGE) {
+    return [
+        LINES.welcomeBack(language),
+        LINES.redirectAccepted(language),
+        LINES.allViewed(language, redirectUrl),
+        ...projects.flatMap(project => [
+            LINES.namedRevisit(language, project),
+            LINES.named(language, project),
+            LINES.present(language, project),
+            LINES.howAbout(language, project)
+        ])
+    ];
+}
+
+export function detectIntent(text) {
+    if (!text) return null;
+    const match = INTENT_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.intent : null;
+}
+
+export class FallbackCurator {
+    constructor(projects, catalogSearch, { redirectUrl = 'https://xiaotianfanx.com', language = DEFAULT_LANGUAGE } = {}) {
+        this.projects = projects;
+        this.catalogSearch = catalogSearch;
+        this.redirectUrl = redirectUrl;
+        // Language code (see i18n.js) the curator answers in
+        this.language = language;
+
+        // What the last reply offered and is waiting on a yes/no for: { action, projectId? }
+        this.pendingOffer = null;
+        this.declinedProjectIds = new Set();
+        this.questionsAsked = 0;
+    }
+
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    reset() {
+        this.pendingOffer = null;
+        this.declinedProjectIds.clear();
+        this.questionsAsked = 0;
+    }
+
+    // text is the visitor's latest message, or null when the reply is not answering one
+    // (e.g. right after they return from viewing a project). profile is TasteProfile.data.
+    respond(text, viewedProjectIds = [], profile = null) {
+        const viewed = new Set(viewedProjectIds);
+        const intent = detectIntent(text);
+
+        if (text === null) {
+            this.pendingOffer = null;
+            return this.reply('chat', LINES.welcomeBack(this.language));
+        }
+
+        // Named a project directly
+        const named = this.catalogSearch.findTitleMatch(text);
+        if (named) {
+            return this.offer(named, viewed.has(named.id)
+                ? LINES.namedRevisit(this.language, named)
+                : LINES.named(this.language, named));
+        }
+
+        // Answering an open offer
+        if (this.pendingOffer && intent === 'accept') {
+            const offer = this.pendingOffer;
+            this.pendingOffer = null;
+            if (offer.action === 'redirect') {
+                return this.reply('redirect', LINES.redirectAccepted(this.language));
+            }
+            const project = this.projects.find(p => p.id === offer.projectId);
+            return this.reply('present', LINES.present(this.language, project), { projectId: project.id, revisit: viewed.has(project.id) });
+        }
+        if (this.pendingOffer && (intent === 'decline' || intent === 'next') && this.pendingOffer.projectId) {
+            this.declinedProjectIds.add(this.pendingOffer.projectId);
+        }
+        this.pendingOffer = null;
+
+        const ranked = profile
+            ? rankProjects(profile, this.projects, viewedProjectIds).map(r => r.project)
+            : this.projects;
+        const candidates = ranked.filter(p => !viewed.has(p.id) && !this.declinedProjectIds.has(p.id));
+        if (candidates.length === 0) {
+            this.pendingOffer = { action: 'redirect' };
+            return this.reply('chat', LINES.allViewed(this.language, this.redirectUrl));
+        }
+
+        // Anything in the message that matches the catalog?
+        const hit = this.catalogSearch.search(text, this.projects.length)
+            .find(r => candidates.includes(r.project));
+        if (hit) {
+            const keyword = (hit.project.keywords || [])
+                .find(k => text.toLowerCase().includes(k.toLowerCase().replace(/s$/, '')));
+            return this.offer(hit.project, keyword
+                ? t('curator.mentioned', this.language, { keyword, title: hit.project.title })
+                : t('curator.reminded', this.language, { title: hit.project.title }));
+        }
+
+        // Asked for something specific to happen, or we've asked enough questions
+        if (intent === 'show' || intent === 'next' || intent === 'decline' || this.questionsAsked >= MAX_DISCOVERY_QUESTIONS) {
+            const project = candidates[0];
+            return this.offer(project, LINES.howAbout(this.language, project));
+        }
+
+        return this.reply('chat', this.discoveryQuestion(candidates));
+    }
+
+    offer(project, message) {
+        this.pendingOffer = { action: 'present', projectId: project.id };
+        return this.reply('chat', message);
+    }
+
+    // Contrasts keywords from two different unviewed projects
+    discoveryQuestion(candidates) {
+        const index = this.questionsAsked++;
+        const first = candidates[index % candidates.length];
+        const second = candidates[(index + 1) % candidates.length];
+
+        if (!first.keywords || !first.keywords.length) {
+            return t('curator.askOpen', this.language);
+        }
+        if (first === second || !second.keywords || !second.keywords.length) {
+            return t('curator.askOne', this.language, { keyword: first.keywords[0] });
+        }
+        return t('curator.askTwo', this.language, { first: first.keywords[0], second: second.keywords[0] });
+    }
+
+    reply(action, message, extra = {}) {
+        return { action, message, ...extra, degraded: true };
+    }
+}
+
+function firstSentence(text) {
+    const match = String(text || '').match(/^.*?[.!?](\s|$)/);
+    return match ? match[0].trim() : text;
+}
@@ -0,0 +1,133 @@
+// Languages the guide can hold a conversation in, and the interface strings for each.
+// Shared with the server (see api/_lib/chatRequest.js), so keep browser APIs inside functions.
+
+// speechLang is the BCP 47 tag for speech recognition and synthesis;
+// promptName is how the system prompt names the language to the model
+export const LANGUAGES = {
+    en: { speechLang: 'en-US', promptName: 'English' },
+    zh: { speechLang: 'zh-CN', promptName: 'Simplified Chinese (Mandarin)' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Han characters, and letters of Latin-script languages
+const HAN_PATTERN = /\p{Script=Han}/gu;
+const LATIN_PATTERN = /\p{Script=Latin}/gu;
+
+// Guesses the language of a visitor's message from its script. Returns null when the text
+// has too few letters to tell (e.g. "ok?" or a project id).
+export function detectLanguage(text) {
+    const han = (String(text).match(HAN_PATTERN) || []).length;
+    const latin = (String(text).match(LATIN_PATTERN) || []).length;
+
+    // An ideogram carries about as much as a short word, so a few of them outweigh the Latin
+    // letters of a project title mentioned in a Chinese sentence
+    if (han > 0 && han * 4 >= latin) return 'zh';
+    if (latin >= 4 && han === 0) return 'en';
+    return null;
+}
+
+// The visitor's preferred supported language according to the browser, or the default
+export function browserLanguage() {
+    const preferred = (typeof navigator !== 'undefined' && navigator.languages) || [];
+    for (const tag of preferred) {
+        const code = tag.toLowerCase().split('-')[0];
+        if (LANGUAGES[code]) return code;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+// Static interface strings, keyed by the data-i18n* attributes in index.html, and the offline
+// curator's lines (see fallbackCurator.js)
+const STRINGS = {
+    en: {
+        'title': 'Xiaotian Fan - Portfolio Beta',
+        'offline.badge': 'OFFLINE CURATOR',
+        'offline.title': 'The AI guide is unreachable right now, so a simpler offline curator is answering.',
+        'about.button': 'ABOUT',
+        'about.heading': 'About This Portfolio',
+        'about.p1': 'This portfolio embodies a philosophy of agency and curation. Rather than presenting a static collection of projects, it empowers an intelligent agent to proactively select and present work based on context, conversation, and intent.',
+        'about.p2': 'The traditional portfolio is a monologue—a fixed narrative chosen by its creator. Here, the portfolio becomes a dialogue. The agent observes, interprets, and curates in real-time, selecting projects that resonate with the moment, the question, or the emerging understanding between visitor and work.',
+        'about.p3': 'This approach acknowledges that meaning is not inherent but constructed through interaction. Each project presentation is not predetermined but emerges from the intersection of inquiry and intelligence. The agent doesn\'t simply retrieve—it reasons, connects, and chooses, transforming the portfolio from a showcase into a collaborative exploration.',
+        'about.p4': 'In letting the agent select, we embrace uncertainty and possibility. We, instead of only trust in the capacity of intelligent systems to make meaningful connections, to see patterns we might miss, and to curate experiences that are both surprising and deeply relevant, but also to be aware of the limitations of the system and thus realize our own agency of making each decision in the process.',
+        'about.more': 'More works:',
+        'speech.confirm': 'Not sure I heard that right. Press Enter to send it, or edit it first.',
+        'conversation.title': 'Hands-free conversation: talk naturally, interrupt any time',
+        'chat.placeholder': 'Ask me anything...',
+        'chat.thinking': 'Thinking...',
+        'chat.viewingEnded': 'Project viewing ended.',
+        'tour.previous': 'Previous piece',
+        'tour.next': 'Next piece',
+        'tour.finish': 'Finish tour',
+        'voice.label': 'Guide\'s voice',
+        'voice.default': 'Default',
+        'curator.welcomeBack': 'Welcome back. How did that piece make you feel? When you are ready, just say "next" and I will find you another.',
+        'curator.redirectAccepted': 'Wonderful. Taking you to the rest of the work now - thank you for visiting.',
+        'curator.allViewed': 'That\'s everything I have to show here. Would you like to visit {site} for more of the author\'s work?',
+        'curator.namedRevisit': 'You\'ve already seen {title}, but I\'m happy to open it again. Shall I?',
+        'curator.named': '{title} - a fine choice. Would you like to see it?',
+        'curator.present': 'Here is {title}.',
+        'curator.howAbout': 'How about {title}? {description} Would you like to see it?',
+        'curator.mentioned': 'Since you mentioned {keyword}, I think you might enjoy {title}. Would you like to see it?',
+        'curator.reminded': 'That makes me think of {title}. Would you like to see it?',
+        'curator.askOpen': 'Tell me a little about what you enjoy - what would you like to see?',
+        'curator.askOne': 'Tell me a little about what you enjoy - is it more {keyword}, or something else entirely?',
+        'curator.askTwo': 'Tell me, are you drawn more to {first} or to {second}?'
+    },
+    zh: {
+        'title': 'Xiaotian Fan - 作品集 Beta',
+        'offline.badge': '离线策展',
+        'offline.title': 'AI 向导暂时无法连接，现在由一个简单的离线策展程序回答。',
+        'about.button': '关于',
+        'about.heading': '关于这个作品集',
+        'about.p1': '这个作品集体现了一种关于能动性与策展的理念。它不是静态地陈列项目，而是让一个智能体根据语境、对话和意图，主动挑选并呈现作品。',
+        'about.p2': '传统的作品集是一场独白——由创作者决定的固定叙事。在这里，作品集变成了一场对话。智能体实时观察、理解和策展，挑选与此刻、与问题、或与观者和作品之间逐渐形成的理解相呼应的项目。',
+        'about.p3': '这种方式承认意义并非与生俱来，而是在互动中建构的。每一次项目呈现都不是预先设定的，而是在提问与智能的交汇处生成。智能体不只是检索——它推理、联结、选择，把作品集从展示柜变成一场共同的探索。',
+        'about.p4': '让智能体来选择，意味着拥抱不确定性与可能性。我们不仅信任智能系统建立有意义的联系、发现我们可能忽略的规律、策划既出人意料又深度相关的体验的能力，也意识到系统的局限，从而在过程中的每一个决定里体会到我们自己的能动性。',
+        'about.more': '更多作品：',
+        'speech.confirm': '不确定有没有听清。按回车发送，或先修改一下。',
+        'conversation.title': '免手动对话：自然说话，随时可以打断',
+        'chat.placeholder': '随便问我点什么……',
+        'chat.thinking': '思考中……',
+        'chat.viewingEnded': '项目浏览结束。',
+        'tour.previous': '上一件作品',
+        'tour.next': '下一件作品',
+        'tour.finish': '结束导览',
+        'voice.label': '向导的声音',
+        'voice.default': '默认',
+        'curator.welcomeBack': '欢迎回来。那件作品给你什么感觉？准备好了就说"下一个"，我再给你找一件。',
+        'curator.redirectAccepted': '太好了。现在带你去看更多作品——感谢你的来访。',
+        'curator.allViewed': '这里能给你看的就是这些了。想去 {site} 看看作者的更多作品吗？',
+        'curator.namedRevisit': '你已经看过《{title}》了，不过我很乐意再打开一次。要看吗？',
+        'curator.named': '《{title}》——好选择。想看看吗？',
+        'curator.present': '这是《{title}》。',
+        'curator.howAbout': '看看《{title}》怎么样？{description} 想看看吗？',
+        'curator.mentioned': '你提到了{keyword}，我想你可能会喜欢《{title}》。想看看吗？',
+        'curator.reminded': '这让我想到了《{title}》。想看看吗？',
+        'curator.askOpen': '跟我说说你喜欢什么——你想看些什么？',
+        'curator.askOne': '跟我说说你喜欢什么——是更偏向{keyword}，还是完全不同的东西？',
+        'curator.askTwo': '告诉我，你更喜欢{first}还是{second}？'
+    }
+};
+
+// Interface string for key, falling back to English. {name} placeholders are filled from params.
+export function t(key, language = DEFAULT_LANGUAGE, params = null) {
+    const strings = STRINGS[language] || STRINGS[DEFAULT_LANGUAGE];
+    const text = strings[key] !== undefined ? strings[key] : STRINGS[DEFAULT_LANGUAGE][key];
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined ? params[name] : placeholder);
+}
+
+// Fills the document's data-i18n (text), data-i18n-placeholder and data-i18n-title elements
+export function applyTranslations(language, root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, language);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder, language);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle, language);
+    });
+    document.documentElement.lang = LANGUAGES[language] ? LANGUAGES[language].speechLang : language;
+}
@@ -0,0 +1,246 @@
+// LLM backends. Every provider exposes the same method:
+//   complete(request, onProgress) -> Promise<{ content, toolCalls }>
+// where request is { purpose, messages, conversation, context, tools }:
+//   purpose      - 'chat' or 'summary'
+//   messages     - the full prompt, starting with the generated system prompt; only built for
+//                  providers whose needsSystemPrompt is true
+//   conversation - the same turns without the generated system prompt
+//   context      - the inputs the system prompt was built from (personaId, viewedProjectIds, ...)
+// onProgress receives the accumulated { content, toolCalls } after every streamed chunk,
+// and toolCalls is an array of { name, arguments } where arguments is a JSON string.
+
+import { apiUrl, apiHeaders, throwIfNotOk } from './apiClient.js';
+import { limitConversation } from './conversationMemory.js';
+
+// Defaults, overridable per deployment through Vite env vars (see README)
+const env = import.meta.env;
+export const DEFAULT_LLM_CONFIG = {
+    provider: env.VITE_LLM_PROVIDER || 'openrouter',
+    model: env.VITE_LLM_MODEL || 'google/gemini-2.5-flash-lite',
+    temperature: env.VITE_LLM_TEMPERATURE !== undefined ? parseFloat(env.VITE_LLM_TEMPERATURE) : 0.7,
+    baseUrl: env.VITE_LLM_BASE_URL || 'http://localhost:8080/v1',
+    // Shipped in the public bundle like every VITE_* variable - only for keys that are safe to publish
+    apiKey: env.VITE_LLM_API_KEY || '',
+    scriptDelayMs: env.VITE_LLM_SCRIPT_DELAY_MS !== undefined ? parseInt(env.VITE_LLM_SCRIPT_DELAY_MS, 10) : 40
+};
+
+// Any server implementing the OpenAI chat completions API with SSE streaming
+// (llama.cpp server, Ollama, LM Studio, vLLM, ...)
+export class OpenAICompatibleProvider {
+    constructor({ url, model, temperature, apiKey = '', headers = {}, useToolChoice = true }) {
+        this.url = url;
+        this.model = model;
+        this.temperature = temperature;
+        this.apiKey = apiKey;
+        this.headers = headers;
+        // Some local servers reject tool_choice: 'required'
+        this.useToolChoice = useToolChoice;
+    }
+
+    // Sends request.messages, so LLMService has to build the system prompt
+    get needsSystemPrompt() {
+        return true;
+    }
+
+    buildBody({ messages, tools }) {
+        const body = {
+            model: this.model,
+            messages,
+            temperature: this.temperature,
+            stream: true
+        };
+        if (tools && tools.length) {
+            body.tools = tools;
+            if (this.useToolChoice) body.tool_choice = 'required';
+        }
+        return body;
+    }
+
+    async complete(request, onProgress = null) {
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(this.buildBody(request))
+        });
+
+        await throwIfNotOk(response);
+
+        const result = { content: '', toolCalls: [] };
+        for await (const data of readServerSentEvents(response)) {
+            const delta = data.choices && data.choices[0] && data.choices[0].delta;
+            if (!delta) continue;
+
+            if (delta.content) {
+                result.content += delta.content;
+            }
+
+            // Tool call names and arguments arrive in fragments keyed by index
+            for (const fragment of delta.tool_calls || []) {
+                const index = fragment.index || 0;
+                if (!result.toolCalls[index]) {
+                    result.toolCalls[index] = { name: '', arguments: '' };
+                }
+                if (fragment.function && fragment.function.name) {
+                    result.toolCalls[index].name += fragment.function.name;
+                }
+                if (fragment.function && fragment.function.arguments) {
+                    result.toolCalls[index].arguments += fragment.function.arguments;
+                }
+            }
+
+            if (onProgress) onProgress(result);
+        }
+
+        return result;
+    }
+}
+
+// Our own /api/openrouter proxy, which holds the OpenRouter key server-side.
+// The proxy builds the system prompt and tools itself, so we only send the
+// conversation and the context the prompt is built from (see api/_lib/chatRequest.js).
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor({ model, temperature }) {
+        super({ url: apiUrl('/api/openrouter'), model, temperature, headers: apiHeaders() });
+    }
+
+    get needsSystemPrompt() {
+        return false;
+    }
+
+    buildBody({ purpose = 'chat', conversation, context = {} }) {
+        return {
+            purpose,
+            model: this.model,
+            temperature: this.temperature,
+            // The proxy refuses anything over its limits
+            messages: limitConversation(conversation),
+            context,
+            stream: true
+        };
+    }
+}
+
+// Deterministic offline backend that replays canned tool calls from a fixture file.
+// Script format (see fixtures/scriptedConversation.json):
+//   rules:    [{ "match": "<regex>", "call": { "name", "arguments" } }] - checked first against the latest user message
+//   sequence: [{ "name", "arguments" }]                                  - otherwise replayed in order, looping
+//   summary:  "<text>"                                                   - returned for plain-text requests such as summarization
+export class ScriptedProvider {
+    constructor({ script, delayMs = 0 }) {
+        this.script = script;
+        this.delayMs = delayMs;
+        this.turn = 0;
+    }
+
+    // Only looks at the visitor's turns
+    get needsSystemPrompt() {
+        return false;
+    }
+
+    async complete({ conversation, tools }, onProgress = null) {
+        const script = await this.script;
+
+        // Requests without tools (e.g. summarization) just want text back
+        if (!tools || tools.length === 0) {
+            return { content: script.summary || '', toolCalls: [] };
+        }
+
+        const lastUser = [...conversation].reverse().find(m => m.role === 'user');
+        const text = lastUser ? lastUser.content : '';
+
+        const rule = (script.rules || []).find(r => new RegExp(r.match, 'i').test(text));
+        let call;
+        if (rule) {
+            call = rule.call;
+        } else {
+            const sequence = script.sequence || [];
+            if (sequence.length === 0) {
+                throw new Error('Scripted provider has no responses');
+            }
+            call = sequence[this.turn % sequence.length];
+            this.turn++;
+        }
+
+        const args = JSON.stringify(call.arguments || {});
+        const result = { content: '', toolCalls: [{ name: call.name, arguments: '' }] };
+
+        // Replay the arguments in small chunks so the streaming UI behaves as it would live
+        const chunkSize = 8;
+        for (let i = 0; i < args.length; i += chunkSize) {
+            result.toolCalls[0].arguments += args.slice(i, i + chunkSize);
+            if (onProgress) onProgress(result);
+            if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        result.toolCalls[0].arguments = args;
+
+        return result;
+    }
+}
+
+export function createProvider(config = {}) {
+    const options = { ...DEFAULT_LLM_CONFIG, ...config };
+
+    switch (options.provider) {
+        case 'openrouter':
+            return new OpenRouterProvider(options);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider({
+                url: `${options.baseUrl.replace(/\/$/, '')}/chat/completions`,
+                model: options.model,
+                temperature: options.temperature,
+                apiKey: options.apiKey,
+                useToolChoice: options.useToolChoice !== false
+            });
+        case 'scripted':
+            return new ScriptedProvider({
+                // Loaded lazily so the fixture is not part of the production bundle
+                script: options.script || import('./fixtures/scriptedConversation.json').then(m => m.default),
+                delayMs: options.scriptDelayMs
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${options.provider}`);
+    }
+}
+
+// Yields the parsed JSON payload of each "data:" event in an OpenAI-style SSE stream
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by newlines; keep the trailing partial line for the next chunk
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            // Skip blank lines and SSE comments (OpenRouter sends ": OPENROUTER PROCESSING" keep-alives)
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            try {
+                const data = JSON.parse(payload);
+                if (data.error) {
+                    throw new Error(data.error.message || 'Stream error');
+                }
+                yield data;
+            } catch (e) {
+                if (e instanceof SyntaxError) continue; // Ignore malformed keep-alive payloads
+                throw e;
+            }
+        }
+    }
+}
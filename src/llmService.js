@@ -1,137 +1,192 @@
-export class LLMService {
-    constructor() {
-        // Use proxy endpoint instead of direct API
-        // In local dev, use Vercel server on port 3000; in production, use relative path
-        const isLocalDev = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-        const apiBase = isLocalDev ? 'http://localhost:3000' : '';
-        this.apiUrl = `${apiBase}/api/openrouter`;
-    }
+import { getToolDefinitions, decodeToolCall } from './agentActions.js';
+import { createProvider } from './llmProviders.js';
+import { validateResponse } from './responseValidator.js';
+import { ApiError, LLMUnavailableError, RateLimitError } from './errors.js';
+import { buildSystemPrompt, buildSummaryMessages } from './prompts/index.js';
 
-    async sendChat(messages, projects, viewedProjectIds = []) {
-        const roundCount = messages.filter(m => m.role === 'user').length;
-        const systemPrompt = this.createSystemPrompt(projects, viewedProjectIds, roundCount);
+const MAX_ATTEMPTS = 3;
 
-        // Prepare messages array with system prompt at the start
-        const fullMessages = [
-            { role: 'system', content: systemPrompt },
-            ...messages
-        ];
+export class LLMService {
+    // persona is a config from personas/*.json (see persona.js);
+    // config selects the backend - see DEFAULT_LLM_CONFIG in llmProviders.js
+    constructor(persona, config = {}) {
+        this.persona = persona;
+        this.provider = createProvider(config);
+    }
 
-        for (let attempt = 0; attempt < 3; attempt++) {
+    // Options:
+    //   onMessageDelta(partialMessage) - called with the visible reply text so far while the model is still generating
+    //   summary    - running summary of turns no longer included in messages
+    //   roundCount - total visitor turns so far (defaults to the user messages in messages)
+    //   searchResults - local catalog search hits for the latest visitor message (see CatalogSearch)
+    //   tasteProfile - the visitor's accumulated preferences (TasteProfile.data)
+    //   language   - language code (see i18n.js) the guide should answer in
+    //   maxAttempts - how many times to try the model before giving up
+    // Throws LLMUnavailableError when the model could not be reached.
+    async sendChat(messages, projects, viewedProjectIds = [], options = {}) {
+        const {
+            onMessageDelta = null,
+            summary = '',
+            roundCount = messages.filter(m => m.role === 'user').length,
+            searchResults = [],
+            tasteProfile = null,
+            language = null,
+            maxAttempts = MAX_ATTEMPTS
+        } = options;
+        // The catalog makes this the bulk of the request, so skip it for providers that
+        // build the prompt server-side
+        const systemPrompt = this.provider.needsSystemPrompt
+            ? this.createSystemPrompt(projects, viewedProjectIds, {
+                roundCount,
+                summary,
+                searchResults,
+                tasteProfile,
+                language
+            })
+            : null;
+
+        // Conversation without the system prompt; corrective notes are appended between attempts.
+        // Providers that build the prompt server-side send this plus `context` instead of our prompt.
+        const conversation = [...messages];
+        const context = {
+            personaId: this.persona.id,
+            viewedProjectIds,
+            roundCount,
+            summary,
+            tasteProfile,
+            language
+        };
+
+        let lastInvalidResponse = null;
+        let lastError = null;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
             try {
-                const response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
+                let lastMessage = '';
+                const { content, toolCalls } = await this.provider.complete(
+                    {
+                        purpose: 'chat',
+                        // Prepare messages array with system prompt at the start
+                        messages: systemPrompt !== null ? [{ role: 'system', content: systemPrompt }, ...conversation] : undefined,
+                        conversation,
+                        context,
+                        tools: getToolDefinitions()
                     },
-                    body: JSON.stringify({
-                        model: 'google/gemini-2.5-flash-lite',
-                        messages: fullMessages,
-                        temperature: 0.7,
-                        response_format: { type: 'json_object' }
-                    })
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                    throw new Error(errorData.error || `API request failed with status ${response.status}`);
-                }
-
-                const data = await response.json();
-                const content = data.choices[0].message.content;
+                    (progress) => {
+                        // Only surface the "message" argument, never the raw tool call JSON
+                        const partialMessage = progress.toolCalls[0]
+                            ? extractPartialMessage(progress.toolCalls[0].arguments)
+                            : (progress.content.trim() || null);
+                        if (onMessageDelta && partialMessage !== null && partialMessage !== lastMessage) {
+                            lastMessage = partialMessage;
+                            onMessageDelta(partialMessage);
+                        }
+                    }
+                );
 
                 // Debug: Log raw LLM response
-                console.log(`LLM Raw Response (Attempt ${attempt + 1}):`, content);
+                console.log(`LLM Raw Response (Attempt ${attempt + 1}):`, toolCalls.length ? toolCalls : content);
+
+                const parsed = this.parseResponse(content, toolCalls);
+                const validation = validateResponse(parsed, projects, viewedProjectIds);
+                if (validation.valid) {
+                    return validation.response;
+                }
 
-                return this.parseResponse(content);
+                // Re-prompt with a corrective note instead of acting on a bad response
+                console.warn(`LLM response rejected (Attempt ${attempt + 1}):`, validation.error);
+                lastInvalidResponse = parsed;
+                conversation.push({
+                    role: 'system',
+                    content: `Your previous response (${JSON.stringify(parsed)}) was rejected: ${validation.error} Respond again by calling a tool with a corrected response.`
+                });
 
             } catch (error) {
                 console.error(`LLM Error (Attempt ${attempt + 1}):`, error);
+                lastError = error;
 
-                if (attempt === 2) {
-                    // Max retries reached
-                    return {
-                        message: "It seems we've encountered a temporary issue. I'd like to direct you to my other works.",
-                        action: "redirect"
-                    };
-                }
+                // Retrying would only dig deeper into the limit
+                if (error instanceof RateLimitError) break;
+                // The request itself was refused - sending it again would be refused too
+                if (error instanceof ApiError && error.status >= 400 && error.status < 500) break;
             }
         }
-    }
 
-    createSystemPrompt(projects, viewedProjectIds = [], roundCount = 1) {
-        const projectList = projects.map(p => {
-            const isViewed = viewedProjectIds.includes(p.id);
-            return {
-                ...p,
-                status: isViewed ? 'VIEWED' : 'AVAILABLE'
-            };
-        });
+        // The model kept answering, just never validly - keep its words but drop the action
+        if (lastInvalidResponse && lastInvalidResponse.message) {
+            return { action: 'chat', message: lastInvalidResponse.message };
+        }
 
-        return `You are X-Fast, a proactive and insightful portfolio guide. Your goal is to deeply understand the user's aesthetic and conceptual preferences before revealing any work. You should start with a greeting and ask a question.
-
-Available Projects (for your internal reference ONLY - DO NOT list these to the user):
-${JSON.stringify(projectList, null, 2)}
-
-Interaction Guidelines:
-1. **Be Proactive**: Do not passively wait. Ask "peripheral" questions to gauge the user's taste.
-2. **Direct Access & Fuzzy Search**: If a user asks for a project by name, part of a name, or specific keywords (e.g., "Kitchen Chaos", "something about clouds"), identify the best match and RECOMMEND it.
-3. **Conversation Limit**:
-   - Current Round: ${roundCount}
-   - You MUST make a project recommendation within 3 rounds max.
-   - If Current Round >= 3 (and no project recommended yet), you MUST recommend the best fitting 'AVAILABLE' project immediately.
-4. **Peripheral Questions** (If no direct search): Use the provided project metadata to formulate questions. Ask about:
-   - **Themes**: (e.g., Time, memory, identity, chaos, dreams)
-   - **Media**: (e.g., Film, typography, interactive code, animation)
-   - **Emotive Orientation**: (e.g., Calm, chaotic, surreal)
-   - **Interaction vs. Storytelling**: (Active participation vs. passive observation)
-   - **Aesthetics**: (Abstract vs. Realistic)
-5. **Discovery & Recommendation**: When you have a clear idea of what the user wants and it matches a specific project, you should RECOMMEND it in conversation (using "chat" action), but DO NOT use the "present" action yet. For example: "I think you might enjoy [Project Name]. Would you like to see it?"
-6. **Present Action Restriction**: The "present" action should ONLY be used when the user explicitly accepts your recommendation. Look for clear acceptance signals such as:
-   - "Yes", "Yeah", "Yep", "Sure", "Okay", "OK", "Alright"
-   - "I'd like to see it", "Show me", "Let's see it", "Go ahead"
-   - "Sounds good", "That sounds interesting", "I'm interested"
-   - Any other clear affirmative response
-   - If the user's response is ambiguous, neutral, or doesn't clearly accept, continue with "chat" action and ask for clarification.
-7. **Post-Viewing Follow-up**: If the user just returned from viewing a project (indicated by a system message), explicitly ask how they felt about it. Dig into their emotional response.
-8. **End of Journey / Redirect**: 
-   - If the user says they don't like any of the remaining options, OR
-   - If they have viewed ALL projects (all marked VIEWED),
-   - THEN: Ask if they would like to visit the author's other works.
-   - If they agree (e.g., "Yes", "Sure", "Okay"), use the "redirect" action and say a polite farewell.
-
-Response Format:
-Your response MUST ALWAYS be a valid JSON object:
-{
-    "message": "Your conversational response...",
-    "action": "chat" | "present" | "redirect",
-    "projectId": "The ID of the project to present (only if action is 'present', otherwise null)"
-}
+        // Max retries reached (or rate limited)
+        throw new LLMUnavailableError('LLM unavailable', lastError);
+    }
 
-CRITICAL: Use "present" action ONLY when the user explicitly accepts your recommendation (e.g., says "Yes", "Sure", "Okay", "I'd like to see it"). If you're recommending a project but haven't received clear acceptance, use "chat" action instead.
+    // Condenses older turns into a short third-person summary for the system prompt
+    async summarize(previousSummary, messages) {
+        const { content } = await this.provider.complete({
+            purpose: 'summary',
+            messages: this.provider.needsSystemPrompt ? buildSummaryMessages(previousSummary, messages) : undefined,
+            conversation: messages,
+            context: { personaId: this.persona.id, summary: previousSummary }
+        });
 
-Tone:
-- Curious, slightly mysterious, but helpful.
-- Focus on *concepts* and *feelings* rather than technical specs (unless the user asks).
-`;
+        return content.trim();
     }
 
-    parseResponse(content) {
-        try {
-            // Attempt to clean code blocks if the LLM wraps JSON in markdown
-            const jsonString = content.replace(/```json\n?|\n?```/g, '').trim();
-            const parsed = JSON.parse(jsonString);
+    createSystemPrompt(projects, viewedProjectIds = [], context = {}) {
+        return buildSystemPrompt(this.persona, projects, viewedProjectIds, context);
+    }
 
-            // Validate structure
-            if (!parsed.message || !parsed.action) {
-                throw new Error('Invalid response structure');
+    parseResponse(content, toolCalls = []) {
+        // Models occasionally answer in plain text despite tool_choice - treat that as a chat turn
+        if (toolCalls.length === 0) {
+            const text = content.trim();
+            if (!text) {
+                throw new Error('Empty response'); // Propagate error to trigger retry
             }
+            return { action: 'chat', message: text };
+        }
 
-            return parsed;
+        const call = toolCalls[0];
+        try {
+            return decodeToolCall(call.name, call.arguments);
         } catch (e) {
-            console.error('Failed to parse LLM response:', content);
+            console.error('Failed to decode tool call:', call);
             throw e; // Propagate error to trigger retry
         }
     }
 }
 
+// Reads the (possibly unfinished) string value of "message" out of a partial JSON document.
+// Returns null until the value has started.
+function extractPartialMessage(json) {
+    const keyMatch = /"message"\s*:\s*"/.exec(json);
+    if (!keyMatch) return null;
+
+    let result = '';
+    let i = keyMatch.index + keyMatch[0].length;
+    while (i < json.length) {
+        const ch = json[i];
+        if (ch === '"') break;
+        if (ch !== '\\') {
+            result += ch;
+            i++;
+            continue;
+        }
+
+        // Escape sequence - stop if it is cut off mid-stream
+        const next = json[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = json.slice(i + 2, i + 6);
+            if (hex.length < 4) break;
+            result += String.fromCharCode(parseInt(hex, 16));
+            i += 6;
+            continue;
+        }
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+        result += escapes[next] !== undefined ? escapes[next] : next;
+        i += 2;
+    }
+    return result;
+}
@@ -2,17 +2,48 @@ import './style.css';
 import { SceneManager } from './scene.js';
 import { LLMService } from './llmService.js';
 import { AudioService } from './audio.js';
+import { ConversationMemory } from './conversationMemory.js';
+import { CatalogSearch } from './catalogSearch.js';
+import { FallbackCurator } from './fallbackCurator.js';
+import { LLMUnavailableError, RateLimitError } from './errors.js';
+import { TasteProfile } from './tasteProfile.js';
+import { selectPersona } from './persona.js';
+import { SpokenText } from './spokenText.js';
+import { SpeechQueue } from './speechQueue.js';
+import { ConversationMode } from './conversationMode.js';
+import { browserLanguage, detectLanguage, applyTranslations, t } from './i18n.js';
 import projects from './projects.json';
 
+// How long after speech starts to wait for word timings before falling back to the typewriter
+const WORD_BOUNDARY_GRACE_MS = 1000;
+// Recognised speech less certain than this waits for the visitor to confirm or correct it
+const SPEECH_CONFIDENCE_THRESHOLD = 0.6;
+
 class App {
     constructor() {
         this.sceneManager = new SceneManager('canvas-container');
         this.isEmbedded = false;
-        this.llmService = new LLMService();
+        this.persona = selectPersona();
+        this.llmService = new LLMService(this.persona);
         this.audioService = new AudioService();
-        this.chatHistory = [];
+        this.memory = new ConversationMemory(
+            (summary, messages) => this.llmService.summarize(summary, messages)
+        );
         this.viewedProjects = new Set();
+        this.catalogSearch = new CatalogSearch(projects);
+        // Visitor preferences reported by the agent, persisted across reloads
+        this.tasteProfile = new TasteProfile();
+        // Answers locally while the LLM is unreachable
+        this.fallbackCurator = new FallbackCurator(projects, this.catalogSearch, {
+            redirectUrl: this.persona.endOfJourney.redirectUrl
+        });
+        this.isDegraded = false;
+        // While rate limited by the proxy, skip the LLM entirely until this timestamp
+        this.llmPausedUntil = 0;
         this.isTTSActive = false;
+        // Conversation language (see i18n.js): the browser's until the visitor's first message says otherwise
+        this.language = null;
+        this.languageDetected = false;
 
         this.ui = {
             landing: document.getElementById('landing-ui'),
@@ -20,6 +51,7 @@ class App {
             aboutOverlay: document.getElementById('about-overlay'),
             aboutBtn: document.getElementById('about-btn'),
             aboutCloseBtn: document.getElementById('about-close-btn'),
+            moreWorksLink: document.getElementById('more-works-link'),
             landingInput: document.getElementById('landing-input'),
             chatInput: document.getElementById('chat-input'),
             iframe: document.getElementById('content-frame'),
@@ -27,12 +59,89 @@ class App {
             chatHistory: document.getElementById('chat-history'),
             landingChatHistory: document.getElementById('landing-chat-history'),
             micBtn: document.getElementById('mic-btn'), // Added mic button reference
+            conversationBtn: document.getElementById('conversation-btn'),
+            voiceSetting: document.getElementById('voice-setting'),
+            voiceSelect: document.getElementById('voice-select'),
+            speechConfirm: document.getElementById('speech-confirm'),
+            speechAlternatives: document.getElementById('speech-alternatives'),
             ttsCursor: document.getElementById('tts-cursor'),
-            ttsCursorInner: document.getElementById('tts-cursor-inner')
+            ttsCursorInner: document.getElementById('tts-cursor-inner'),
+            degradedIndicator: document.getElementById('degraded-indicator'),
+            tourControls: document.getElementById('tour-controls'),
+            tourPrevBtn: document.getElementById('tour-prev-btn'),
+            tourNextBtn: document.getElementById('tour-next-btn'),
+            tourProgress: document.getElementById('tour-progress'),
+            tourNarration: document.getElementById('tour-narration')
         };
 
+        // Active agent tour: { stops: [{ projectId, narration }], index, visited: Set }
+        this.tour = null;
+
+        // The latest reply's SpeechQueue, for pausing, skipping and interrupting it
+        this.replySpeech = null;
+
+        // Hands-free voice conversation, toggled with the conversation button
+        this.conversation = new ConversationMode(this.audioService, {
+            onResult: (result) => this.showTranscript(result),
+            onTranscript: (text, result) => {
+                // Keep listening so the visitor can simply say it again
+                if (!this.submitTranscript(result)) this.conversation.listen();
+            },
+            onBargeIn: () => this.stopSpeaking(),
+            onStateChange: (state) => this.setConversationState(state),
+            onError: () => this.sceneManager.setFaceExpression('neutral'),
+            // Wait while a project is open; the chat is hidden then
+            canListen: () => !this.isEmbedded
+        });
+
+        // Agent action handlers, keyed by tool name (see agentActions.js)
+        this.actionHandlers = new Map();
+        this.registerDefaultActions();
+
         this.initListeners();
         this.initTTSCursor();
+        // The About overlay points to the same site the agent offers at the end of the journey
+        this.ui.moreWorksLink.href = this.persona.endOfJourney.redirectUrl;
+        this.setLanguage(browserLanguage());
+        this.audioService.initializeVoices(this.persona.voice).then(voices => this.initVoiceSelect(voices));
+    }
+
+    registerAction(name, handler) {
+        this.actionHandlers.set(name, handler);
+    }
+
+    registerDefaultActions() {
+        // 'chat' needs nothing beyond speaking the message
+        this.registerAction('chat', () => {});
+
+        this.registerAction('present', (response) => {
+            const project = projects.find(p => p.id === response.projectId);
+            if (!project) return;
+
+            if (!this.isEmbedded) {
+                this.enterEmbeddedMode(project.url, project.id);
+            } else {
+                this.ui.iframe.src = project.url;
+                if (project.id) this.viewedProjects.add(project.id);
+            }
+        });
+
+        this.registerAction('tour', (response) => {
+            this.startTour(response.stops);
+        });
+
+        this.registerAction('redirect', () => {
+            window.location.href = this.persona.endOfJourney.redirectUrl;
+        });
+    }
+
+    dispatchAction(response) {
+        const handler = this.actionHandlers.get(response.action);
+        if (!handler) {
+            console.warn(`No handler registered for agent action: ${response.action}`);
+            return;
+        }
+        handler(response);
     }
 
     initListeners() {
@@ -53,12 +162,27 @@ class App {
 
         // Stop speaking if user types
         this.ui.landingInput.addEventListener('input', () => {
-            this.audioService.cancelSpeech();
-            this.setTTSActive(false);
+            this.stopSpeaking();
         });
         this.ui.chatInput.addEventListener('input', () => {
-            this.audioService.cancelSpeech();
-            this.setTTSActive(false);
+            this.stopSpeaking();
+        });
+
+        // Hold the reply while the page is in the background
+        document.addEventListener('visibilitychange', () => {
+            if (!this.replySpeech) return;
+            if (document.hidden) {
+                this.replySpeech.pause();
+            } else {
+                this.replySpeech.resume();
+            }
+        });
+
+        // Escape skips the sentence being spoken
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.replySpeech) {
+                this.replySpeech.skip();
+            }
         });
 
         // Close button
@@ -66,6 +190,24 @@ class App {
             this.exitEmbeddedMode();
         });
 
+        // Tour navigation
+        if (this.ui.tourPrevBtn) {
+            this.ui.tourPrevBtn.addEventListener('click', () => {
+                if (this.tour) this.goToTourStop(this.tour.index - 1);
+            });
+        }
+        if (this.ui.tourNextBtn) {
+            this.ui.tourNextBtn.addEventListener('click', () => {
+                if (!this.tour) return;
+                // The last "next" finishes the tour
+                if (this.tour.index >= this.tour.stops.length - 1) {
+                    this.exitEmbeddedMode();
+                } else {
+                    this.goToTourStop(this.tour.index + 1);
+                }
+            });
+        }
+
         // About button
         if (this.ui.aboutBtn) {
             this.ui.aboutBtn.addEventListener('click', () => {
@@ -84,6 +226,12 @@ class App {
         if (this.ui.micBtn) {
             // Use click instead of mousedown to prevent potential multi-fire issues
             this.ui.micBtn.addEventListener('click', () => {
+                // In conversation mode the mic button sends the turn without waiting for silence
+                if (this.conversation.isActive) {
+                    this.conversation.endTurn();
+                    return;
+                }
+
                 if (this.audioService.isListening) {
                     // Toggle off if already listening
                     this.audioService.stopListening();
@@ -91,34 +239,106 @@ class App {
                     return;
                 }
 
-                this.audioService.cancelSpeech();
-                this.setTTSActive(false);
+                this.stopSpeaking();
                 this.ui.micBtn.classList.add('listening');
+                this.sceneManager.setFaceExpression('curious');
+                let lastResult = null;
                 this.audioService.startListening(
-                    (text) => { // onResult
-                        if (!this.isEmbedded) {
-                            this.ui.landingInput.value = text;
-                        } else {
-                            this.ui.chatInput.value = text;
-                        }
+                    (result) => { // onResult
+                        lastResult = result;
+                        this.showTranscript(result);
                     },
                     () => { // onEnd
                         this.ui.micBtn.classList.remove('listening');
                         // Auto-submit if we have text
-                        const text = this.isEmbedded ? this.ui.chatInput.value : this.ui.landingInput.value;
-                        if (text.trim()) {
-                            this.handleInput(text);
-                            if (this.isEmbedded) this.ui.chatInput.value = '';
-                            else this.ui.landingInput.value = '';
+                        if (!this.submitTranscript(lastResult)) {
+                            this.sceneManager.setFaceExpression('neutral');
                         }
                     },
                     (err) => { // onError
                         // Error handling mostly done in service, just cleanup UI
                         this.ui.micBtn.classList.remove('listening');
+                        this.activeInput().classList.remove('interim');
+                        this.sceneManager.setFaceExpression('neutral');
                     }
                 );
             });
         }
+
+        // Conversation mode toggle
+        if (this.ui.conversationBtn) {
+            this.ui.conversationBtn.addEventListener('click', async () => {
+                if (!this.conversation.isActive) {
+                    // Take over from a push-to-talk turn in progress
+                    this.audioService.stopListening();
+                    this.ui.micBtn.classList.remove('listening');
+                }
+                try {
+                    await this.conversation.toggle();
+                } catch (error) {
+                    console.error('Could not start conversation mode:', error);
+                }
+            });
+        }
+    }
+
+    // The text box the visitor is currently using
+    activeInput() {
+        return this.isEmbedded ? this.ui.chatInput : this.ui.landingInput;
+    }
+
+    // Streams what the recogniser is hearing into the active input
+    showTranscript(result) {
+        this.hideSpeechConfirm();
+        const input = this.activeInput();
+        input.value = result.transcript;
+        input.classList.toggle('interim', !result.isFinal);
+    }
+
+    // Sends a recognised turn, unless the recogniser was unsure of it, in which case the visitor
+    // is asked to confirm or edit it first. Returns whether it was sent.
+    submitTranscript(result) {
+        const input = this.activeInput();
+        input.classList.remove('interim');
+        if (!result || !result.transcript) return false;
+
+        if (result.confidence !== null && result.confidence < SPEECH_CONFIDENCE_THRESHOLD) {
+            this.askToConfirmTranscript(result);
+            return false;
+        }
+
+        input.value = '';
+        this.handleInput(result.transcript);
+        return true;
+    }
+
+    // Leaves the transcript in the input for the visitor to send with Enter, offering the
+    // recogniser's other readings as replacements
+    askToConfirmTranscript(result) {
+        const input = this.activeInput();
+        input.value = result.transcript;
+        input.focus();
+
+        if (!this.ui.speechConfirm) return;
+        const buttons = result.alternatives.slice(1).map(alternative => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'speech-alternative';
+            button.textContent = alternative.transcript;
+            button.addEventListener('click', () => {
+                input.value = alternative.transcript;
+                input.focus();
+            });
+            return button;
+        });
+        this.ui.speechAlternatives.replaceChildren(...buttons);
+        this.ui.speechConfirm.classList.remove('hidden');
+    }
+
+    hideSpeechConfirm() {
+        if (this.ui.speechConfirm) {
+            this.ui.speechConfirm.classList.add('hidden');
+        }
     }
 
     initTTSCursor() {
@@ -133,15 +353,22 @@ class App {
         });
     }
 
+    // Silences the guide: the reply being spoken and any other speech, such as tour narration
+    stopSpeaking() {
+        if (this.replySpeech) this.replySpeech.cancel();
+        this.audioService.cancelSpeech();
+        this.setTTSActive(false);
+    }
+
     setTTSActive(active) {
         this.isTTSActive = active;
         if (active) {
             document.body.classList.add('tts-active');
             if (this.ui.ttsCursor) this.ui.ttsCursor.classList.add('active');
             if (this.ui.ttsCursorInner) this.ui.ttsCursorInner.classList.add('active');
-            // Start face mouth animation
+            // Start face mouth animation, following the sounds and loudness of the speech
             if (this.sceneManager) {
-                this.sceneManager.setFaceTalking(true);
+                this.sceneManager.setFaceTalking(true, () => this.audioService.getSpeechState());
             }
         } else {
             document.body.classList.remove('tts-active');
@@ -154,6 +381,51 @@ class App {
         }
     }
 
+    // Lists the ElevenLabs voices in the about overlay so the visitor can pick one
+    initVoiceSelect(voices) {
+        if (!this.ui.voiceSelect || !voices.length) return;
+
+        for (const voice of voices) {
+            const option = document.createElement('option');
+            option.value = voice.voiceId;
+            const traits = [voice.gender, voice.accent].filter(Boolean).join(', ');
+            option.textContent = traits ? `${voice.name} (${traits})` : voice.name;
+            this.ui.voiceSelect.appendChild(option);
+        }
+        this.ui.voiceSelect.value = this.audioService.voicePreference || '';
+        this.ui.voiceSelect.addEventListener('change', () => {
+            this.audioService.setVoice(this.ui.voiceSelect.value || null);
+        });
+        this.ui.voiceSetting.classList.remove('hidden');
+    }
+
+    // Switches the interface, speech recognition, voice and the guide's replies to a language from i18n.js
+    setLanguage(language) {
+        if (this.language === language) return;
+        this.language = language;
+        this.audioService.setLanguage(language);
+        this.fallbackCurator.setLanguage(language);
+        applyTranslations(language);
+    }
+
+    // Reflects the conversation mode state (see conversationMode.js) on the page
+    setConversationState(state) {
+        const active = state !== 'off';
+        document.body.classList.toggle('conversation-mode', active);
+        document.body.classList.toggle('is-listening', state === 'listening');
+        document.body.classList.toggle('is-speaking', state === 'speaking');
+        if (this.ui.conversationBtn) {
+            this.ui.conversationBtn.classList.toggle('active', active);
+            this.ui.conversationBtn.setAttribute('aria-pressed', String(active));
+        }
+
+        if (state === 'listening') {
+            this.sceneManager.setFaceExpression('curious');
+        } else if (state === 'off' && !this.isTTSActive) {
+            this.sceneManager.setFaceExpression('neutral');
+        }
+    }
+
     enterEmbeddedMode(url = null, projectId = null) {
         this.isEmbedded = true;
 
@@ -206,10 +478,98 @@ class App {
         });
     }
 
+    startTour(stops) {
+        this.tour = { stops, index: 0, visited: new Set() };
+        if (this.ui.tourControls) {
+            this.ui.tourControls.classList.remove('hidden');
+        }
+
+        if (this.isEmbedded) {
+            this.goToTourStop(0);
+            return;
+        }
+
+        const project = projects.find(p => p.id === stops[0].projectId);
+        this.enterEmbeddedMode(project.url, project.id);
+        this.showTourStop(0);
+    }
+
+    // Moves the tour to another stop, sweeping back through the blob between pieces
+    goToTourStop(index) {
+        if (!this.tour || index < 0 || index >= this.tour.stops.length) return;
+
+        const project = projects.find(p => p.id === this.tour.stops[index].projectId);
+        this.stopSpeaking();
+
+        this.ui.embedded.classList.remove('active');
+        this.sceneManager.resume();
+        this.sceneManager.resetBlob(() => {
+            // Tour may have been left mid-transition
+            if (!this.tour) return;
+
+            this.ui.iframe.src = project.url;
+            this.viewedProjects.add(project.id);
+
+            this.sceneManager.expandBlob(() => {
+                if (!this.tour) return;
+                this.ui.embedded.classList.add('active');
+                setTimeout(() => {
+                    this.sceneManager.pause();
+                }, 200);
+            });
+            this.showTourStop(index);
+        });
+    }
+
+    // Updates the tour controls and speaks the stop's narration
+    showTourStop(index) {
+        const stop = this.tour.stops[index];
+        const project = projects.find(p => p.id === stop.projectId);
+        this.tour.index = index;
+        this.tour.visited.add(project.id);
+
+        if (this.ui.tourProgress) {
+            this.ui.tourProgress.textContent = `${index + 1} / ${this.tour.stops.length} · ${project.title}`;
+        }
+        if (this.ui.tourNarration) {
+            this.ui.tourNarration.textContent = stop.narration;
+        }
+        if (this.ui.tourPrevBtn) {
+            this.ui.tourPrevBtn.disabled = index === 0;
+        }
+        if (this.ui.tourNextBtn) {
+            this.ui.tourNextBtn.title = t(index === this.tour.stops.length - 1 ? 'tour.finish' : 'tour.next', this.language);
+        }
+
+        if (!stop.narration) return;
+        this.memory.add({ role: 'assistant', content: stop.narration });
+        this.audioService.speak(
+            stop.narration,
+            () => this.setTTSActive(true),
+            () => this.setTTSActive(false)
+        );
+    }
+
+    endTour() {
+        const visited = Array.from(this.tour.visited)
+            .map(id => projects.find(p => p.id === id).title);
+        this.tour = null;
+        if (this.ui.tourControls) {
+            this.ui.tourControls.classList.add('hidden');
+        }
+        return visited;
+    }
+
     exitEmbeddedMode() {
         this.isEmbedded = false;
-        this.audioService.cancelSpeech();
-        this.setTTSActive(false);
+        this.stopSpeaking();
+
+        // Leaving mid-tour ends it; the follow-up asks about the whole tour
+        let followUpNote = this.persona.notes.returnedFromViewing;
+        if (this.tour) {
+            const visited = this.endTour();
+            followUpNote = this.persona.notes.returnedFromTour.replace('{projects}', visited.join(', '));
+        }
 
         // Resume metablob rendering first to let the scene start loading
         this.sceneManager.resume();
@@ -242,32 +602,23 @@ class App {
 
 
                 // Trigger system message and LLM follow-up
-                this.triggerPostViewingFollowUp();
+                this.triggerPostViewingFollowUp(followUpNote);
 
             }, 1000); // Fade out duration
         });
     }
 
-    async triggerPostViewingFollowUp() {
+    async triggerPostViewingFollowUp(note = this.persona.notes.returnedFromViewing) {
         // Add visible system message
-        this.addChatMessage('system', 'Project viewing ended.');
+        this.addChatMessage('system', t('chat.viewingEnded', this.language));
 
         // Add invisible system instruction to history
-        this.chatHistory.push({
+        this.memory.add({
             role: 'system',
-            content: 'The user has returned from viewing the project. Ask them how they felt about it. Be curious about their emotional response.'
+            content: note
         });
 
-        // Show loading state
-        const loadingMsg = this.addChatMessage('system', 'Thinking...', true);
-
-        // Call LLM
-        const response = await this.llmService.sendChat(this.chatHistory, projects, Array.from(this.viewedProjects));
-
-        // Remove loading message
-        loadingMsg.remove();
-
-        this.handleLlmResponse(response);
+        await this.requestAgentReply();
     }
 
     openAboutOverlay() {
@@ -308,81 +659,228 @@ class App {
     async handleInput(text) {
         if (!text.trim()) return;
 
-        this.audioService.cancelSpeech();
-        this.setTTSActive(false);
+        this.hideSpeechConfirm();
+        this.stopSpeaking();
 
         // Add user message to UI
         this.addChatMessage('user', text);
 
         // Add to history for LLM
-        this.chatHistory.push({ role: 'user', content: text });
+        this.memory.add({ role: 'user', content: text });
+
+        // The first message decides the conversation language
+        if (!this.languageDetected) {
+            const detected = detectLanguage(text);
+            if (detected) {
+                this.languageDetected = true;
+                this.setLanguage(detected);
+            }
+        }
+
+        await this.requestAgentReply(text);
+    }
+
+    // query is the visitor's latest message, if this reply answers one
+    async requestAgentReply(query = null) {
+        // Rank the catalog locally so the model gets candidates for direct and fuzzy requests
+        const searchResults = query ? this.catalogSearch.search(query) : [];
 
         // Show loading state
-        const loadingMsg = this.addChatMessage('system', 'Thinking...', true);
+        const loadingMsg = this.addChatMessage('system', t('chat.thinking', this.language), true);
+        this.sceneManager.setFaceExpression('thoughtful');
+        this.conversation.agentThinking();
+
+        // Speech starts with the first streamed sentence, before the reply is complete
+        const reply = { msg: loadingMsg, response: null, hidden: false, spoken: null, typingStarted: false };
+        reply.speech = this.createReplySpeech(reply);
+        if (this.replySpeech) this.replySpeech.cancel();
+        this.replySpeech = reply.speech;
+        const streamIntoMessage = this.streamIntoMessage(loadingMsg);
+
+        // Call LLM, streaming the reply into the loading bubble as it arrives
+        let response;
+        try {
+            if (Date.now() < this.llmPausedUntil) {
+                throw new LLMUnavailableError('LLM paused after rate limiting');
+            }
+
+            response = await this.llmService.sendChat(
+                this.memory.getMessages(),
+                projects,
+                Array.from(this.viewedProjects),
+                {
+                    onMessageDelta: (partialMessage) => {
+                        streamIntoMessage(partialMessage);
+                        reply.speech.update(partialMessage);
+                    },
+                    summary: this.memory.summary,
+                    roundCount: this.memory.userTurnCount,
+                    searchResults,
+                    tasteProfile: this.tasteProfile.data,
+                    language: this.language,
+                    // Already degraded - probe the model once instead of stalling on retries
+                    maxAttempts: this.isDegraded ? 1 : undefined
+                }
+            );
+            this.setDegraded(false);
+        } catch (error) {
+            if (!(error instanceof LLMUnavailableError)) throw error;
 
-        // Call LLM
-        const response = await this.llmService.sendChat(this.chatHistory, projects, Array.from(this.viewedProjects));
+            if (error.cause instanceof RateLimitError) {
+                this.llmPausedUntil = Date.now() + error.cause.retryAfter * 1000;
+            }
+
+            // Keep the conversation going locally instead of sending the visitor away
+            this.setDegraded(true);
+            response = this.fallbackCurator.respond(query, Array.from(this.viewedProjects), this.tasteProfile.data);
+        }
 
-        // Remove loading message
-        loadingMsg.remove();
+        // Remove loading message unless it already became the reply bubble
+        if (!loadingMsg.isStreamed) {
+            loadingMsg.remove();
+        }
+
+        this.handleLlmResponse(response, reply, loadingMsg.isStreamed ? loadingMsg : null);
 
-        this.handleLlmResponse(response);
+        // Fold older turns into the summary in the background if we are over budget
+        this.memory.compact();
+    }
+
+    // Degraded mode: the LLM is unreachable and FallbackCurator is answering
+    setDegraded(degraded) {
+        if (this.isDegraded === degraded) return;
+        this.isDegraded = degraded;
+
+        document.body.classList.toggle('curator-degraded', degraded);
+        if (this.ui.degradedIndicator) {
+            this.ui.degradedIndicator.classList.toggle('hidden', !degraded);
+        }
+
+        // Offers made while offline don't carry over once the agent is back
+        if (!degraded) {
+            this.fallbackCurator.reset();
+        }
     }
 
-    handleLlmResponse(response) {
+    // Returns an onMessageDelta callback that renders streamed tokens into the given loading bubble
+    streamIntoMessage(msg) {
+        return (partialMessage) => {
+            if (!msg.isStreamed) {
+                msg.isStreamed = true;
+                msg.classList.remove('loading');
+            }
+            // Once speech has started highlighting words, keep the highlight as the text grows
+            if (msg.spokenText) {
+                msg.spokenText.setText(partialMessage);
+            } else {
+                msg.textContent = partialMessage;
+            }
+
+            const container = msg.parentElement;
+            if (container) {
+                container.scrollTop = container.scrollHeight;
+            }
+        };
+    }
+
+    // reply is the state shared with the reply's speech (see createReplySpeech)
+    handleLlmResponse(response, reply, streamedMsg = null) {
         // Handle Response
         if (response) {
-            this.chatHistory.push({ role: 'assistant', content: JSON.stringify(response) });
-            this.chatHistory[this.chatHistory.length - 1] = { role: 'assistant', content: response.message };
+            this.memory.add({ role: 'assistant', content: response.message });
+            this.tasteProfile.applyUpdate(response.preferenceUpdate);
+            this.sceneManager.setFaceExpression(this.expressionFor(response));
+
+            let msg;
+            if (streamedMsg) {
+                // Text is already on screen - just settle it on the final parsed message
+                msg = streamedMsg;
+                if (msg.spokenText) {
+                    msg.spokenText.setText(response.message);
+                } else {
+                    msg.textContent = response.message;
+                }
+            } else {
+                // Add message but defer typing effect
+                msg = this.addChatMessage('system', response.message, false, true);
+            }
 
-            // Add message but defer typing effect
-            const msg = this.addChatMessage('system', response.message, false, true);
+            reply.msg = msg;
+            reply.response = response;
+            // Reveal (or, if already streamed in, just highlight) words as they are spoken
+            reply.hidden = !streamedMsg;
 
-            let typingStarted = false;
-            const startTypingSafe = () => {
-                if (!typingStarted && msg.startTyping) {
-                    typingStarted = true;
-                    msg.startTyping();
-                }
-            };
+            // Speaks whatever the stream has not already queued. If the visitor interrupted
+            // while the reply was streaming, this just settles it: the text shows and the action runs.
+            reply.speech.finish(response.message);
+        }
+    }
 
-            // Speak the response with TTS cursor animation
-            this.audioService.speak(
-                response.message,
-                () => {
-                    // onStart callback
-                    this.setTTSActive(true);
-                    // Start typing deferred message
-                    startTypingSafe();
-                },
-                () => {
-                    // onEnd callback
-                    this.setTTSActive(false);
-                    // Ensure text is shown even if onStart was missed (e.g. TTS error)
-                    startTypingSafe();
+    // Returns the SpeechQueue that speaks a reply, driving the face, the TTS cursor and the word
+    // highlight. reply holds { msg, response, hidden, spoken, typingStarted }; msg is the bubble
+    // the reply appears in, and response is set once it is complete.
+    createReplySpeech(reply) {
+        let boundaryTimer = null;
 
-                    // Handle redirect after TTS if action is 'redirect'
-                    if (response.action === 'redirect') {
-                        window.location.href = 'https://xiaotianfanx.com';
-                    }
+        const startTypingSafe = () => {
+            if (!reply.typingStarted && !reply.spoken && reply.msg.startTyping) {
+                reply.typingStarted = true;
+                reply.msg.startTyping();
+            }
+        };
 
-                    // Handle Action after TTS
-                    if (response.action === 'present' && response.projectId) {
-                        const project = projects.find(p => p.id === response.projectId);
-                        if (project) {
-                            if (!this.isEmbedded) {
-                                this.enterEmbeddedMode(project.url, project.id);
-                            } else {
-                                this.ui.iframe.src = project.url;
-                                if (project.id) this.viewedProjects.add(project.id);
-                            }
-                        }
-                    }
+        const speech = new SpeechQueue(this.audioService, {
+            onChunkStart: (chunk) => {
+                this.setTTSActive(true);
+                this.conversation.agentSpeaking();
+                // Voices that never report word boundaries get the typewriter instead. ElevenLabs
+                // timings arrive once the clip has downloaded, so those clips wait for them.
+                clearTimeout(boundaryTimer);
+                if (chunk.timings) {
+                    chunk.timings.then(loaded => loaded || startTypingSafe());
+                } else {
+                    boundaryTimer = setTimeout(startTypingSafe, WORD_BOUNDARY_GRACE_MS);
+                }
+            },
+            onChunkEnd: () => {
+                this.setTTSActive(false);
+            },
+            onBoundary: ({ charIndex }) => {
+                if (reply.typingStarted) return;
+                if (!reply.spoken) {
+                    clearTimeout(boundaryTimer);
+                    reply.msg.classList.remove('loading');
+                    reply.spoken = new SpokenText(reply.msg, speech.text, { hidden: reply.hidden });
+                    reply.msg.spokenText = reply.spoken;
+                    reply.spoken.render();
+                }
+                reply.spoken.highlight(charIndex);
+            },
+            // Also runs when the reply is interrupted, so an accepted project still opens
+            onEnd: () => {
+                this.sceneManager.setFaceExpression('neutral');
+                clearTimeout(boundaryTimer);
+                if (reply.spoken) {
+                    reply.spoken.finish();
+                } else {
+                    // Ensure text is shown even if no chunk started (e.g. TTS error)
+                    startTypingSafe();
                 }
-            );
 
-            // 'chat' action is default, 'redirect' action is handled in onEnd callback of speak
-        }
+                // Run the agent's action once it has finished speaking
+                this.dispatchAction(reply.response);
+                // Then hand the turn back to the visitor (unless the action opened a project)
+                this.conversation.agentFinished();
+            }
+        });
+        return speech;
+    }
+
+    // The face to wear while speaking a reply: the agent's own choice, otherwise pleased
+    // when the visitor has just accepted something (the reply opens a project, tour or link)
+    expressionFor(response) {
+        if (response.expression) return response.expression;
+        return response.action === 'chat' ? 'neutral' : 'happy';
     }
 
     addChatMessage(sender, text, isLoading = false, deferTyping = false) {
@@ -414,7 +912,7 @@ class App {
             msg.textContent = text;
         } else {
             if (deferTyping) {
-                msg.textContent = 'Thinking...';
+                msg.textContent = t('chat.thinking', this.language);
                 msg.classList.add('loading');
             }
 
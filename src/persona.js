@@ -0,0 +1,43 @@
+// Persona configs live in ./personas/*.json, registered in ./personas/index.js
+import { PERSONAS, DEFAULT_PERSONA_ID } from './personas/index.js';
+
+export { PERSONAS, DEFAULT_PERSONA_ID };
+
+const VARIANT_STORAGE_KEY = 'xfast.personaVariant';
+
+// Picks the persona for this visit, in order of precedence:
+//   1. ?persona=<id> in the page URL (handy for previews)
+//   2. VITE_PERSONA - fixed per deployment
+//   3. VITE_PERSONA_VARIANTS=a,b,... - A/B test; each browser is assigned one variant and keeps it
+//   4. DEFAULT_PERSONA_ID
+export function selectPersona() {
+    const fromUrl = new URLSearchParams(window.location.search).get('persona');
+    if (fromUrl && PERSONAS[fromUrl]) return PERSONAS[fromUrl];
+
+    const env = import.meta.env;
+    if (env.VITE_PERSONA && PERSONAS[env.VITE_PERSONA]) return PERSONAS[env.VITE_PERSONA];
+
+    const variants = (env.VITE_PERSONA_VARIANTS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => PERSONAS[id]);
+    if (variants.length) {
+        let assigned = null;
+        try {
+            assigned = window.localStorage.getItem(VARIANT_STORAGE_KEY);
+        } catch (e) {
+            // Storage disabled - fall through to a per-visit assignment
+        }
+        if (!variants.includes(assigned)) {
+            assigned = variants[Math.floor(Math.random() * variants.length)];
+            try {
+                window.localStorage.setItem(VARIANT_STORAGE_KEY, assigned);
+            } catch (e) {
+                // Ignore - assignment just won't be sticky
+            }
+        }
+        return PERSONAS[assigned];
+    }
+
+    return PERSONAS[DEFAULT_PERSONA_ID];
+}
@@ -0,0 +1,7 @@
+// Every persona config, keyed by its "id". This is the one list both the browser (persona.js)
+// and the server (api/_lib/catalog.js) load, so add new persona files here.
+import xFast from './x-fast.json' with { type: 'json' };
+
+export const PERSONAS = Object.fromEntries([xFast].map(persona => [persona.id, persona]));
+
+export const DEFAULT_PERSONA_ID = 'x-fast';
@@ -0,0 +1,82 @@
+import { render as renderV1 } from './systemPrompt.v1.js';
+import { rankProjects, PROFILE_DIMENSIONS } from '../tasteProfile.js';
+import { LANGUAGES } from '../i18n.js';
+
+// Prompt building is shared by the browser (for providers that take a full prompt)
+// and by /api/openrouter, which builds the prompt server-side. Keep these modules free
+// of browser APIs.
+
+// Versioned system prompt templates; a persona picks one with its "promptTemplate" field
+export const PROMPT_TEMPLATES = {
+    v1: renderV1
+};
+
+export function renderSystemPrompt(persona, context) {
+    const render = PROMPT_TEMPLATES[persona.promptTemplate];
+    if (!render) {
+        throw new Error(`Unknown prompt template "${persona.promptTemplate}" for persona "${persona.id}"`);
+    }
+    return render(persona, context);
+}
+
+// Context:
+//   roundCount    - total visitor turns so far
+//   summary       - running summary of turns no longer in the message list
+//   searchResults - CatalogSearch hits for the latest visitor message
+//   tasteProfile  - TasteProfile.data
+//   language      - code from i18n.js LANGUAGES the guide should answer in
+export function buildSystemPrompt(persona, projects, viewedProjectIds = [], context = {}) {
+    const { roundCount = 1, summary = '', searchResults = [], tasteProfile = null, language = null } = context;
+
+    const projectList = projects.map(p => {
+        const isViewed = viewedProjectIds.includes(p.id);
+        return {
+            ...p,
+            status: isViewed ? 'VIEWED' : 'AVAILABLE'
+        };
+    });
+
+    const searchHits = searchResults.map(r => ({
+        id: r.project.id,
+        title: r.project.title,
+        score: Number(r.score.toFixed(2)),
+        titleMatch: Number(r.titleScore.toFixed(2))
+    }));
+
+    const hasProfile = tasteProfile && PROFILE_DIMENSIONS.some(d => Object.keys(tasteProfile[d] || {}).length);
+    const profileRanking = hasProfile
+        ? rankProjects(tasteProfile, projects, viewedProjectIds).map(r => ({
+            id: r.project.id,
+            score: Number(r.score.toFixed(2)),
+            because: r.reasons
+        }))
+        : [];
+
+    return renderSystemPrompt(persona, {
+        projectList,
+        roundCount,
+        summary,
+        searchHits,
+        tasteProfile: hasProfile ? tasteProfile : null,
+        profileRanking,
+        languageName: LANGUAGES[language] ? LANGUAGES[language].promptName : null
+    });
+}
+
+// Messages asking the model to fold older turns into a short third-person summary
+export function buildSummaryMessages(previousSummary, messages) {
+    const transcript = messages
+        .map(m => `${m.role === 'user' ? 'Visitor' : 'Guide'}: ${m.content}`)
+        .join('\n');
+
+    return [
+        {
+            role: 'system',
+            content: 'You summarize conversations between a portfolio guide and a visitor. Write at most 120 words in the third person. Keep the visitor\'s stated tastes and preferences, projects recommended, accepted or declined, and anything they said about works they viewed. Reply with the summary text only.'
+        },
+        {
+            role: 'user',
+            content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New conversation to fold in:\n${transcript}`
+        }
+    ];
+}
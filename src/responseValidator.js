@@ -0,0 +1,108 @@
+import { AGENT_ACTIONS, AGENT_EXPRESSIONS } from './agentActions.js';
+import { normalizeText, similarity } from './textMatch.js';
+
+// Minimum similarity for a near-miss id or title to be accepted as a project reference
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+// Resolves a loosely-typed project reference ("Kitchen-Chaos", "kitchen chaos", "Kitchn Chaos")
+// to a catalog entry. Returns null when nothing is close enough.
+export function resolveProject(reference, projects) {
+    if (!reference) return null;
+
+    const exact = projects.find(p => p.id === reference);
+    if (exact) return exact;
+
+    const target = normalizeText(reference);
+    if (!target) return null;
+
+    let best = null;
+    let bestScore = 0;
+    for (const project of projects) {
+        const score = Math.max(
+            similarity(target, normalizeText(project.id)),
+            similarity(target, normalizeText(project.title))
+        );
+        if (score > bestScore) {
+            best = project;
+            bestScore = score;
+        }
+    }
+    return bestScore >= FUZZY_MATCH_THRESHOLD ? best : null;
+}
+
+// Checks a decoded agent response against the action list and the project catalog.
+// Returns { valid: true, response } with any near-miss projectId corrected to the canonical id
+// (and an unknown expression dropped),
+// or { valid: false, error } with a description the model can act on.
+export function validateResponse(response, projects, viewedProjectIds = []) {
+    if (!response || typeof response.message !== 'string' || !response.message.trim()) {
+        return { valid: false, error: 'The response has no message for the user.' };
+    }
+
+    // An unknown expression is not worth a retry - just fall back to the default face
+    if (response.expression !== undefined && !AGENT_EXPRESSIONS.includes(response.expression)) {
+        const { expression, ...rest } = response;
+        response = rest;
+    }
+
+    const actionNames = AGENT_ACTIONS.map(a => a.name);
+    if (!actionNames.includes(response.action)) {
+        return {
+            valid: false,
+            error: `"${response.action}" is not a valid action. Use one of: ${actionNames.join(', ')}.`
+        };
+    }
+
+    const definition = AGENT_ACTIONS.find(a => a.name === response.action);
+    if (definition.parameters.properties.stops) {
+        return validateStops(response, projects, definition.parameters.properties.stops);
+    }
+    if (!definition.parameters.properties.projectId) {
+        return { valid: true, response };
+    }
+
+    const project = resolveProject(response.projectId, projects);
+    if (!project) {
+        return {
+            valid: false,
+            error: `"${response.projectId}" is not a project in the catalog. Valid project ids: ${projects.map(p => p.id).join(', ')}.`
+        };
+    }
+
+    if (viewedProjectIds.includes(project.id) && !response.revisit) {
+        return {
+            valid: false,
+            error: `"${project.id}" has already been VIEWED. Recommend an AVAILABLE project instead, or set "revisit" to true only if the user explicitly asked to see it again.`
+        };
+    }
+
+    return { valid: true, response: { ...response, projectId: project.id } };
+}
+
+// Tours may revisit viewed projects, but every stop must exist and appear only once.
+// The number of stops is held to the schema's minItems/maxItems.
+function validateStops(response, projects, { minItems, maxItems }) {
+    if (!Array.isArray(response.stops) || response.stops.length < minItems) {
+        return { valid: false, error: `A tour needs a "stops" list with at least ${minItems} projects.` };
+    }
+    if (response.stops.length > maxItems) {
+        return { valid: false, error: `A tour has at most ${maxItems} stops; pick the ${maxItems} that fit best.` };
+    }
+
+    const stops = [];
+    for (const stop of response.stops) {
+        const project = resolveProject(stop && stop.projectId, projects);
+        if (!project) {
+            return {
+                valid: false,
+                error: `Tour stop "${stop && stop.projectId}" is not a project in the catalog. Valid project ids: ${projects.map(p => p.id).join(', ')}.`
+            };
+        }
+        if (stops.some(s => s.projectId === project.id)) {
+            return { valid: false, error: `"${project.id}" appears more than once in the tour.` };
+        }
+        stops.push({ projectId: project.id, narration: String(stop.narration || '') });
+    }
+
+    return { valid: true, response: { ...response, stops } };
+}
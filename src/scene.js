@@ -139,16 +139,23 @@ export class SceneManager {
         }
     }
 
-    setFaceTalking(isTalking) {
+    // getSpeech: optional lip sync source returning { level, viseme }, see AudioService.getSpeechState
+    setFaceTalking(isTalking, getSpeech = null) {
         if (!this.faceManager) return;
         
         if (isTalking) {
-            this.faceManager.startTalkingAnimation();
+            this.faceManager.startTalkingAnimation(getSpeech);
         } else {
             this.faceManager.stopTalkingAnimation();
         }
     }
 
+    // type: an expression or gesture FaceManager.setExpression understands
+    setFaceExpression(type) {
+        if (!this.faceManager) return;
+        this.faceManager.setExpression(type);
+    }
+
     initObjects() {
         // 1. Background
         const bgGeometry = new THREE.PlaneGeometry(30, 15);
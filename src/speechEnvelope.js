@@ -0,0 +1,107 @@
+// Real-time loudness of the guide's speech (0 = silent, 1 = loudest), for lip sync.
+//
+// Sources, depending on how the current clip is played:
+//   analyser - ElevenLabs audio routed through a Web Audio AnalyserNode: the actual signal
+//   words    - Web Speech, which cannot be analysed: an estimate built from word boundary events
+//   babble   - audio we could not analyse and have no timings for: a generic talking rhythm
+
+import { SECONDS_PER_CHARACTER } from './visemes.js';
+
+// Smoothing time constants in seconds - open quickly, close a little slower
+const ATTACK_TIME = 0.03;
+const RELEASE_TIME = 0.12;
+// RMS below this counts as silence; above it, scaled so normal speech reaches ~1
+const NOISE_FLOOR = 0.01;
+const RMS_GAIN = 5;
+// Estimated syllables per second, used to make a single word open and close
+const SYLLABLE_RATE = 5;
+
+export class SpeechEnvelope {
+    constructor() {
+        this.mode = 'idle';
+        this.analyser = null;
+        this.samples = null;
+        this.word = null;
+        this.level = 0;
+        this.lastSampleTime = 0;
+    }
+
+    useAnalyser(analyser) {
+        this.mode = 'analyser';
+        this.analyser = analyser;
+        this.samples = new Float32Array(analyser.fftSize);
+    }
+
+    useWordEstimates() {
+        this.mode = 'words';
+        this.word = null;
+    }
+
+    useBabble() {
+        this.mode = 'babble';
+    }
+
+    stop() {
+        this.mode = 'idle';
+        this.analyser = null;
+        this.word = null;
+    }
+
+    // A word started being spoken (Web Speech boundary); louder for emphasis
+    onWord(word) {
+        const text = String(word || '');
+        const emphasized = /[!?]$/.test(text) || (text.length > 1 && text === text.toUpperCase() && /\p{L}/u.test(text));
+        this.word = {
+            text,
+            startedAt: now(),
+            duration: Math.min(0.9, Math.max(0.15, text.length * SECONDS_PER_CHARACTER)),
+            peak: emphasized ? 1 : 0.55 + Math.min(0.25, text.length * 0.03)
+        };
+    }
+
+    // The boundary-estimated word being spoken as { text, elapsed } (seconds), or null
+    currentWord() {
+        if (this.mode !== 'words' || !this.word) return null;
+        return { text: this.word.text, elapsed: now() - this.word.startedAt };
+    }
+
+    // Target loudness right now, before smoothing
+    targetLevel(time) {
+        switch (this.mode) {
+            case 'analyser': {
+                this.analyser.getFloatTimeDomainData(this.samples);
+                let sum = 0;
+                for (const sample of this.samples) sum += sample * sample;
+                const rms = Math.sqrt(sum / this.samples.length);
+                return Math.min(1, Math.max(0, (rms - NOISE_FLOOR) * RMS_GAIN));
+            }
+            case 'words': {
+                if (!this.word) return 0;
+                const elapsed = time - this.word.startedAt;
+                // Between words the mouth closes until the next boundary arrives
+                if (elapsed > this.word.duration) return 0;
+                return this.word.peak * (0.4 + 0.6 * Math.abs(Math.sin(elapsed * SYLLABLE_RATE * Math.PI)));
+            }
+            case 'babble':
+                return 0.35 + 0.35 * Math.abs(Math.sin(time * SYLLABLE_RATE * Math.PI)) * (0.6 + 0.4 * Math.sin(time * 1.7));
+            default:
+                return 0;
+        }
+    }
+
+    // Smoothed loudness; call once per animation frame
+    sample() {
+        const time = now();
+        const dt = Math.min(0.1, time - this.lastSampleTime);
+        this.lastSampleTime = time;
+
+        const target = this.targetLevel(time);
+        const timeConstant = target > this.level ? ATTACK_TIME : RELEASE_TIME;
+        this.level += (target - this.level) * (1 - Math.exp(-dt / timeConstant));
+        return this.level;
+    }
+}
+
+function now() {
+    return performance.now() / 1000;
+}
@@ -0,0 +1,276 @@
+// Speaks a reply sentence by sentence while it is still being written.
+//
+// The reply is fed in as it streams from the model (update) and once it is complete (finish).
+// Each finished sentence becomes a chunk that is synthesized on its own, and the next chunk is
+// fetched while the current one plays, so speech starts after the first sentence instead of
+// after the whole reply and the gaps between sentences stay short.
+
+// Sentences shorter than this (in spoken length, see spokenLength) are merged with the next,
+// so short ones don't sound clipped
+const MIN_CHUNK_LENGTH = 40;
+// A Han, kana or hangul character takes about as long to say as three Latin letters
+const WIDE_CHAR_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const WIDE_CHAR_WEIGHT = 3;
+// Longer sentences are split at a clause break (or a space) to keep the first chunk quick
+const MAX_CHUNK_LENGTH = 400;
+// Sentence ends: Latin punctuation needs the following space (so "3.5" or a half-streamed "Dr."
+// aren't split); CJK punctuation needs nothing. Closing quotes and brackets stay with the sentence.
+const SENTENCE_END_PATTERN = /[.!?…]+["'”’)\]]*(?=\s)|[。！？]+["'”’」』)]*/gu;
+const CLAUSE_BREAK_PATTERN = /[,;:，；：、]\s*|\s+/gu;
+
+// Roughly how long text takes to say, in Latin characters
+function spokenLength(text) {
+    const wideChars = (text.match(WIDE_CHAR_PATTERN) || []).length;
+    return text.length + wideChars * (WIDE_CHAR_WEIGHT - 1);
+}
+
+// Index in text where the chunk starting at start ends, or -1 if more text is needed first.
+// complete means no more text will arrive, so the remainder is a chunk of its own.
+function findChunkEnd(text, start, complete) {
+    SENTENCE_END_PATTERN.lastIndex = start;
+    let match;
+    while ((match = SENTENCE_END_PATTERN.exec(text))) {
+        const end = match.index + match[0].length;
+        if (end - start > MAX_CHUNK_LENGTH) break;
+        if (spokenLength(text.slice(start, end)) >= MIN_CHUNK_LENGTH) return end;
+    }
+
+    if (text.length - start > MAX_CHUNK_LENGTH) {
+        // No sentence end in reach - settle for the last clause break that keeps a sensible length
+        let end = start + MAX_CHUNK_LENGTH;
+        CLAUSE_BREAK_PATTERN.lastIndex = start + MIN_CHUNK_LENGTH;
+        while ((match = CLAUSE_BREAK_PATTERN.exec(text)) && match.index < start + MAX_CHUNK_LENGTH) {
+            end = match.index + match[0].length;
+        }
+        return end;
+    }
+
+    return complete && text.length > start ? text.length : -1;
+}
+
+// Cuts text from start into chunks ({ text, offset } with offset into text).
+// Returns { chunks, consumed } where consumed is the index the text has been cut up to.
+function cutChunks(text, start, complete) {
+    const chunks = [];
+    let end;
+    while ((end = findChunkEnd(text, start, complete)) !== -1) {
+        const raw = text.slice(start, end);
+        const chunkText = raw.trim();
+        if (chunkText) chunks.push({ text: chunkText, offset: start + raw.length - raw.trimStart().length });
+        start = end;
+    }
+    return { chunks, consumed: start };
+}
+
+// The chunks a complete text is spoken in. Also used to pre-render fixed lines the way
+// they will be requested (see scripts/prerender-tts.js).
+export function splitSpeechChunks(text) {
+    return cutChunks(text, 0, true).chunks;
+}
+
+export class SpeechQueue {
+    // Callbacks:
+    //   onChunkStart(chunk) / onChunkEnd(chunk) - a chunk ({ text, offset, timings }) starts or stops
+    //             being heard. timings resolves with whether the chunk's word timings loaded, or is
+    //             null when the voice reports its words as it goes (the browser voice).
+    //   onBoundary({ charIndex, charLength }) - a word starts, with charIndex into the whole reply
+    //   onEnd() - the reply is complete and settled: spoken to the end, or cancelled. A reply
+    //             cancelled while still streaming settles once finish() delivers the rest.
+    constructor(audioService, { onChunkStart = null, onChunkEnd = null, onBoundary = null, onEnd = null } = {}) {
+        this.audioService = audioService;
+        this.callbacks = { onChunkStart, onChunkEnd, onBoundary, onEnd };
+
+        // The reply so far, and how much of it has been cut into chunks
+        this.text = '';
+        this.consumed = 0;
+        // Chunks waiting to play, and the one playing (or being fetched to play next)
+        this.chunks = [];
+        this.current = null;
+
+        this.isComplete = false;
+        this.isPaused = false;
+        this.isCancelled = false;
+        this.hasEnded = false;
+    }
+
+    get isActive() {
+        return !this.isCancelled && !this.hasEnded;
+    }
+
+    // The reply text so far, while it is still streaming
+    update(text) {
+        this.feed(text, false);
+    }
+
+    // The complete reply
+    finish(text) {
+        this.feed(text, true);
+    }
+
+    feed(text, complete) {
+        if (this.hasEnded) return;
+        if (this.isCancelled) {
+            // Nothing more to say, but the reply still has to settle once it is complete
+            this.text = text;
+            this.isComplete = complete;
+            if (complete) this.end();
+            return;
+        }
+
+        if (!text.startsWith(this.text.slice(0, this.consumed))) {
+            // A retried request streams the reply again from the start; wait until it catches up
+            if (!complete && this.text.startsWith(text)) return;
+            // The reply changed under what was already queued - start over with the new one
+            this.restart();
+        }
+
+        this.text = text;
+        this.isComplete = complete;
+
+        const { chunks, consumed } = cutChunks(this.text, this.consumed, complete);
+        for (const chunk of chunks) {
+            this.chunks.push({ ...chunk, clip: null, timings: null, started: false, waiting: false });
+        }
+        this.consumed = consumed;
+
+        this.prefetch();
+        this.playNext();
+    }
+
+    // Fetches the next chunk's audio so it is ready when the current one ends
+    prefetch() {
+        const next = this.chunks[0];
+        if (next && !next.clip && this.current) {
+            next.clip = this.prepare(next);
+        }
+    }
+
+    // Word timings are only worth fetching when someone follows the words
+    prepare(chunk) {
+        return this.audioService.prepareSpeech(chunk.text, { alignment: Boolean(this.callbacks.onBoundary) });
+    }
+
+    playNext() {
+        if (this.current || this.isPaused || !this.isActive) return;
+
+        const chunk = this.chunks.shift();
+        if (!chunk) {
+            if (this.isComplete) this.end();
+            return;
+        }
+
+        this.current = chunk;
+        if (!chunk.clip) chunk.clip = this.prepare(chunk);
+        this.prefetch();
+        this.playChunk(chunk);
+    }
+
+    async playChunk(chunk) {
+        const clip = await chunk.clip;
+        if (this.current !== chunk) {
+            // Skipped or cancelled while it was being fetched
+            if (clip) this.audioService.discardClip(clip);
+            return;
+        }
+        // Paused while it was being fetched - resume() plays it
+        if (this.isPaused) {
+            chunk.waiting = true;
+            return;
+        }
+
+        const onStart = () => {
+            if (this.current !== chunk || chunk.started) return;
+            chunk.started = true;
+            // Paused while playback was still buffering
+            if (this.isPaused) this.audioService.pauseSpeech();
+            if (this.callbacks.onChunkStart) this.callbacks.onChunkStart(chunk);
+        };
+        const onEnd = () => {
+            if (this.current !== chunk) return;
+            this.current = null;
+            if (this.callbacks.onChunkEnd) this.callbacks.onChunkEnd(chunk);
+            this.playNext();
+        };
+        const onBoundary = ({ charIndex, charLength }) => {
+            if (this.current !== chunk || !this.callbacks.onBoundary) return;
+            this.callbacks.onBoundary({ charIndex: chunk.offset + charIndex, charLength });
+        };
+
+        if (clip) {
+            chunk.timings = clip.alignment ? clip.timings : null;
+            this.audioService.playClip(clip, onStart, onEnd, onBoundary);
+        } else {
+            // ElevenLabs unavailable - the browser voice reads this chunk instead
+            this.audioService.speakWithWebSpeechAPI(chunk.text, onStart, onEnd, onBoundary);
+        }
+    }
+
+    pause() {
+        if (this.isPaused || !this.isActive) return;
+        this.isPaused = true;
+        if (this.current && this.current.started) this.audioService.pauseSpeech();
+    }
+
+    resume() {
+        if (!this.isPaused || !this.isActive) return;
+        this.isPaused = false;
+
+        const chunk = this.current;
+        if (!chunk) {
+            this.playNext();
+        } else if (chunk.waiting) {
+            chunk.waiting = false;
+            this.playChunk(chunk);
+        } else if (chunk.started) {
+            this.audioService.resumeSpeech();
+        }
+    }
+
+    // Drops the sentence being spoken and moves on to the next
+    skip() {
+        const chunk = this.current;
+        if (!chunk || !this.isActive) return;
+
+        this.current = null;
+        this.audioService.cancelSpeech();
+        if (chunk.started && this.callbacks.onChunkEnd) this.callbacks.onChunkEnd(chunk);
+        this.playNext();
+    }
+
+    // Stops speaking the reply for good. Only the audio is dropped: onEnd still runs, now if the
+    // reply is complete or else once finish() arrives, so whatever follows the reply still happens.
+    cancel() {
+        if (!this.isActive) return;
+        this.isCancelled = true;
+        this.clear();
+        if (this.isComplete) this.end();
+    }
+
+    // Throws away everything queued so the reply can be spoken again from the start
+    restart() {
+        this.clear();
+        this.consumed = 0;
+        this.text = '';
+    }
+
+    // Late callbacks from dropped chunks see they are no longer current and do nothing
+    clear() {
+        for (const chunk of this.chunks) {
+            if (chunk.clip) chunk.clip.then(clip => clip && this.audioService.discardClip(clip));
+        }
+        this.chunks = [];
+
+        const chunk = this.current;
+        this.current = null;
+        if (chunk) {
+            this.audioService.cancelSpeech();
+            if (chunk.started && this.callbacks.onChunkEnd) this.callbacks.onChunkEnd(chunk);
+        }
+    }
+
+    end() {
+        if (this.hasEnded) return;
+        this.hasEnded = true;
+        if (this.callbacks.onEnd) this.callbacks.onEnd();
+    }
+}
@@ -0,0 +1,79 @@
+// Records one spoken turn from the microphone with MediaRecorder, for transcription by
+// /api/transcribe in browsers without the Web Speech API (see AudioService).
+
+import { VoiceActivityDetector, openMicrophone } from './voiceActivity.js';
+
+// Longest turn recorded; the server rejects much longer clips anyway
+const MAX_RECORDING_MS = 30000;
+// Give up on a turn the visitor hasn't started talking in after this long
+const NO_SPEECH_TIMEOUT_MS = 8000;
+// Compressed formats first, so uploads stay small
+const PREFERRED_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/ogg', 'audio/mp4'];
+
+export function canRecordSpeech() {
+    return 'MediaRecorder' in window && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+export class SpeechRecorder {
+    // getAudioContext() is used to detect the end of speech (see VoiceActivityDetector)
+    constructor(getAudioContext) {
+        this.getAudioContext = getAudioContext;
+        this.recorder = null;
+    }
+
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    // Records until stop(), or until the visitor stops talking when stopOnSilence is set.
+    // Resolves with { blob, heardSpeech }; heardSpeech is false when the visitor said nothing,
+    // so the clip need not be transcribed. Rejects with a NotAllowedError if mic access is denied.
+    async record({ stopOnSilence = true } = {}) {
+        if (this.isRecording) throw new Error('Already recording');
+
+        const stream = await openMicrophone();
+        const mimeType = PREFERRED_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        this.recorder = recorder;
+
+        let heardSpeech = false;
+        const vad = new VoiceActivityDetector(this.getAudioContext, {
+            onSpeechStart: () => { heardSpeech = true; },
+            onSpeechEnd: () => { if (stopOnSilence) this.stop(); }
+        });
+        try {
+            await vad.start(stream);
+        } catch (error) {
+            // Without Web Audio we can't tell; keep whatever is recorded until stop()
+            console.warn('Voice activity detection unavailable:', error);
+            heardSpeech = true;
+        }
+
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+
+        const maxTimer = setTimeout(() => this.stop(), MAX_RECORDING_MS);
+        const noSpeechTimer = setTimeout(() => {
+            if (!heardSpeech) this.stop();
+        }, NO_SPEECH_TIMEOUT_MS);
+
+        await stopped;
+        clearTimeout(maxTimer);
+        clearTimeout(noSpeechTimer);
+        vad.stop();
+        stream.getTracks().forEach(track => track.stop());
+        this.recorder = null;
+
+        return { blob: new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' }), heardSpeech };
+    }
+
+    stop() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+}
@@ -0,0 +1,62 @@
+// Renders a chat message as word spans that are revealed and highlighted in step with speech,
+// driven by the word boundaries AudioService reports (see SpeechQueue).
+export class SpokenText {
+    // hidden: start with every word invisible (space is still reserved, so the bubble does not grow)
+    constructor(element, text, { hidden = true } = {}) {
+        this.element = element;
+        this.text = text;
+        this.hidden = hidden;
+        this.words = [];
+        this.current = null;
+        // Where the last highlighted word starts, kept across re-renders
+        this.charIndex = null;
+    }
+
+    render() {
+        this.element.textContent = '';
+        this.words = [];
+        this.current = null;
+
+        // Chinese has no spaces, so each Han character counts as a word
+        for (const match of this.text.matchAll(/\p{Script=Han}|[^\s\p{Script=Han}]+|\s+/gu)) {
+            if (/^\s/.test(match[0])) {
+                this.element.appendChild(document.createTextNode(match[0]));
+                continue;
+            }
+            const span = document.createElement('span');
+            span.className = this.hidden ? 'spoken-word unspoken' : 'spoken-word';
+            span.textContent = match[0];
+            this.element.appendChild(span);
+            this.words.push({ start: match.index, end: match.index + match[0].length, span });
+        }
+    }
+
+    // Marks the word at charIndex as being spoken and reveals everything before it
+    highlight(charIndex) {
+        this.charIndex = charIndex;
+        const index = this.words.findIndex(word => word.end > charIndex);
+        if (index === -1) return;
+
+        for (let i = 0; i <= index; i++) {
+            this.words[i].span.classList.remove('unspoken');
+        }
+        if (this.current) this.current.classList.remove('speaking');
+        this.current = this.words[index].span;
+        this.current.classList.add('speaking');
+    }
+
+    // The message is still streaming in: shows the longer text, keeping what has been spoken
+    setText(text) {
+        this.text = text;
+        this.render();
+        if (this.charIndex !== null) this.highlight(this.charIndex);
+    }
+
+    // Speech is over: show the whole message and drop the highlight
+    finish() {
+        for (const word of this.words) {
+            word.span.classList.remove('unspoken', 'speaking');
+        }
+        this.current = null;
+    }
+}
@@ -0,0 +1,142 @@
+import { tokenize } from './catalogSearch.js';
+import { normalizeText, similarity } from './textMatch.js';
+
+// Preference dimensions the agent reports on, each a map of term -> weight in [-1, 1]
+export const PROFILE_DIMENSIONS = ['themes', 'media', 'moods'];
+
+// How far one turn's update moves an existing weight toward the newly reported value
+const LEARNING_RATE = 0.5;
+// Weights closer to zero than this are dropped to keep the profile (and prompt) small
+const MIN_WEIGHT = 0.05;
+// Terms kept per dimension (the least recently reported are forgotten first) and their longest
+// length. The /api/openrouter proxy allows no more (see api/_lib/chatRequest.js).
+export const MAX_PROFILE_TERMS = 30;
+export const MAX_PROFILE_TERM_LENGTH = 40;
+// A profile term counts as naming a project keyword above this similarity ("dreams" ~ "dream")
+const TERM_MATCH_THRESHOLD = 0.8;
+
+const STORAGE_KEY = 'xfast.tasteProfile';
+
+export function createEmptyProfile() {
+    return Object.fromEntries(PROFILE_DIMENSIONS.map(d => [d, {}]));
+}
+
+// How strongly a profile term describes a project: 1 for a keyword, 0.5 for a title/description mention
+function termRelevance(term, project) {
+    const normalizedTerm = normalizeText(term);
+    if ((project.keywords || []).some(k => similarity(normalizeText(k), normalizedTerm) >= TERM_MATCH_THRESHOLD)) {
+        return 1;
+    }
+
+    const termTokens = tokenize(term);
+    const projectTokens = new Set(tokenize(`${project.title} ${project.description}`));
+    if (termTokens.length && termTokens.every(t => projectTokens.has(t))) {
+        return 0.5;
+    }
+    return 0;
+}
+
+// Scores unviewed projects against a profile, best first.
+// Returns [{ project, score, reasons }] where reasons lists the profile terms that contributed.
+export function rankProjects(profile, projects, viewedProjectIds = []) {
+    return projects
+        .filter(p => !viewedProjectIds.includes(p.id))
+        .map(project => {
+            let score = 0;
+            const reasons = [];
+            for (const dimension of PROFILE_DIMENSIONS) {
+                for (const [term, weight] of Object.entries(profile[dimension] || {})) {
+                    const relevance = termRelevance(term, project);
+                    if (!relevance) continue;
+                    score += weight * relevance;
+                    reasons.push(`${weight > 0 ? 'likes' : 'dislikes'} ${term}`);
+                }
+            }
+            return { project, score, reasons };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+// Clamps each dimension to its MAX_PROFILE_TERMS most recently reported terms, and every term
+// to MAX_PROFILE_TERM_LENGTH
+function limitProfile(profile) {
+    const limited = { ...profile };
+    for (const dimension of PROFILE_DIMENSIONS) {
+        const weights = profile[dimension] && typeof profile[dimension] === 'object' ? profile[dimension] : {};
+        const entries = Object.entries(weights)
+            .map(([term, weight]) => [term.slice(0, MAX_PROFILE_TERM_LENGTH).trim(), weight])
+            .filter(([term]) => term);
+        limited[dimension] = Object.fromEntries(entries.slice(-MAX_PROFILE_TERMS));
+    }
+    return limited;
+}
+
+// The visitor's accumulated taste, built from the preferenceUpdate the agent returns
+// with each turn and persisted in localStorage across reloads.
+export class TasteProfile {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            // Profiles saved before the caps existed may be over them
+            return limitProfile({ ...createEmptyProfile(), ...(saved || {}) });
+        } catch (e) {
+            return createEmptyProfile();
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            // Storage full or disabled (private mode) - the profile still lives for this session
+            console.warn('Could not persist taste profile:', e);
+        }
+    }
+
+    isEmpty() {
+        return PROFILE_DIMENSIONS.every(d => Object.keys(this.data[d]).length === 0);
+    }
+
+    // Blends a partial update such as { themes: { memory: 0.8 } } into the profile
+    applyUpdate(update) {
+        if (!update || typeof update !== 'object') return;
+
+        let changed = false;
+        for (const dimension of PROFILE_DIMENSIONS) {
+            const weights = update[dimension];
+            if (!weights || typeof weights !== 'object') continue;
+
+            for (const [rawTerm, rawWeight] of Object.entries(weights)) {
+                const term = String(rawTerm).trim().toLowerCase().slice(0, MAX_PROFILE_TERM_LENGTH).trim();
+                const weight = Number(rawWeight);
+                if (!term || !Number.isFinite(weight)) continue;
+
+                const target = Math.max(-1, Math.min(1, weight));
+                const current = this.data[dimension][term] || 0;
+                const next = current + LEARNING_RATE * (target - current);
+
+                // Re-added below, so the most recently reported terms come last
+                delete this.data[dimension][term];
+                if (Math.abs(next) >= MIN_WEIGHT) {
+                    this.data[dimension][term] = Math.round(next * 100) / 100;
+                }
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.data = limitProfile(this.data);
+            this.save();
+        }
+    }
+
+    clear() {
+        this.data = createEmptyProfile();
+        this.save();
+    }
+}
@@ -0,0 +1,38 @@
+// Small string helpers for matching loosely-typed names against catalog entries
+
+// Lowercase and strip everything but letters and digits: "Kitchen-Chaos" -> "kitchenchaos"
+export function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+export function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,        // deletion
+                current[j - 1] + 1,     // insertion
+                previous[j - 1] + cost  // substitution
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 for identical strings, approaching 0 as the edit distance grows
+export function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    return 1 - levenshtein(a, b) / longest;
+}
@@ -0,0 +1,37 @@
+// TTS settings and cache keys shared by AudioService, /api/elevenlabs and scripts/prerender-tts.js.
+// Free of browser-only APIs so it also runs under Node.
+
+export const DEFAULT_TTS_VOICE = {
+    voiceId: 'CwhRBWXzGAHq8TQ4Fs17',
+    modelId: 'eleven_turbo_v2_5',
+    outputFormat: 'mp3_44100_128'
+};
+
+// Per conversation language (see i18n.js). The default voice is fine in Chinese, but the
+// multilingual model pronounces it much better than turbo.
+export const TTS_VOICES = {
+    en: DEFAULT_TTS_VOICE,
+    zh: { ...DEFAULT_TTS_VOICE, modelId: 'eleven_multilingual_v2' }
+};
+
+// The voice settings a clip is synthesized with: the visitor's pick, else the persona's voice,
+// else the language default. The model and format always follow the language.
+export function resolveTtsVoice({ language = null, personaVoiceId = null, preferredVoiceId = null } = {}) {
+    const languageVoice = TTS_VOICES[language] || DEFAULT_TTS_VOICE;
+    return {
+        voiceId: preferredVoiceId || personaVoiceId || languageVoice.voiceId,
+        modelId: languageVoice.modelId,
+        outputFormat: languageVoice.outputFormat
+    };
+}
+
+// Content address of a synthesized clip: hex SHA-256 of everything that changes the audio.
+// Returns null where Web Crypto is unavailable (browsers on insecure origins).
+export async function ttsCacheKey({ text, voiceId, modelId = '', outputFormat = '' }) {
+    const subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!subtle) return null;
+
+    const input = new TextEncoder().encode([text, voiceId, modelId, outputFormat].join('|'));
+    const digest = await subtle.digest('SHA-256', input);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,100 @@
+// Mouth shapes for lip sync, and how text maps onto them.
+//
+// A shape is a set of parameters for the face's mouth path (see mouthPath):
+//   halfWidth - corner distance from the centre
+//   upper     - how far the upper lip rises above the corners
+//   lower     - how far the lower lip drops below the corners
+//   corner    - vertical corner offset (negative = corners up, a smile)
+//   teeth     - visibility of the upper teeth, 0-1
+
+export const MOUTH_CENTER = { x: 100, y: 130 };
+
+export const VISEMES = {
+    rest: { halfWidth: 15, upper: 0, lower: 0, corner: 0, teeth: 0 },
+    // m, b, p - lips pressed together
+    closed: { halfWidth: 13, upper: 0, lower: 0, corner: 0.5, teeth: 0 },
+    // a - jaw dropped
+    open: { halfWidth: 14, upper: 3, lower: 9, corner: 0, teeth: 0.4 },
+    // e, i, y - lips spread
+    wide: { halfWidth: 19, upper: 1.5, lower: 4, corner: -0.5, teeth: 1 },
+    // o, u, w - lips pushed forward
+    rounded: { halfWidth: 8, upper: 4, lower: 6, corner: 0, teeth: 0 },
+    // f, v, s, z, t, d, th - lower lip against the teeth
+    teeth: { halfWidth: 16, upper: 1, lower: 2.5, corner: 0, teeth: 1 },
+    // remaining consonants - slightly parted
+    mid: { halfWidth: 15, upper: 1.5, lower: 4, corner: 0, teeth: 0.3 }
+};
+
+// Expression shapes reuse the same parameters
+export const EXPRESSION_MOUTHS = {
+    neutral: VISEMES.rest,
+    happy: { halfWidth: 16, upper: -2, lower: 2.5, corner: -4, teeth: 0 },
+    surprised: { halfWidth: 6, upper: 5, lower: 6, corner: 0, teeth: 0 },
+    curious: { halfWidth: 10, upper: 0.5, lower: 1.5, corner: 0, teeth: 0 },
+    thoughtful: { halfWidth: 12, upper: 0, lower: 0, corner: 1.5, teeth: 0 }
+};
+
+const CHARACTER_VISEMES = [
+    { viseme: 'closed', pattern: /[mbp]/ },
+    { viseme: 'rounded', pattern: /[ouwq]/ },
+    { viseme: 'wide', pattern: /[eiy]/ },
+    { viseme: 'open', pattern: /[a]/ },
+    { viseme: 'teeth', pattern: /[fvsztdcjx]/ }
+];
+
+// Estimated speaking time per character when only word start times are known
+export const SECONDS_PER_CHARACTER = 0.065;
+
+// Viseme for one character of text; anything that is not a letter is a pause
+export function visemeForCharacter(character) {
+    const ch = String(character || '').toLowerCase();
+    if (!/\p{L}/u.test(ch)) return 'rest';
+    const match = CHARACTER_VISEMES.find(({ pattern }) => pattern.test(ch));
+    return match ? match.viseme : 'mid';
+}
+
+// Viseme at `time` seconds into a clip with character timings ({ characters, starts, ends })
+export function visemeAtTime(alignment, time) {
+    const { characters, starts, ends } = alignment;
+    // Binary search for the last character that has started
+    let low = 0;
+    let high = starts.length - 1;
+    let index = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (starts[mid] <= time) {
+            index = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    if (index === -1 || time > ends[index]) return 'rest';
+    return visemeForCharacter(characters[index]);
+}
+
+// Viseme `elapsed` seconds into a word whose start is all we know (Web Speech boundaries)
+export function visemeInWord(word, elapsed) {
+    const index = Math.floor(elapsed / SECONDS_PER_CHARACTER);
+    return index < word.length ? visemeForCharacter(word[index]) : 'rest';
+}
+
+// Linear interpolation between two shapes
+export function blendShapes(from, to, amount) {
+    const shape = {};
+    for (const key of Object.keys(from)) {
+        shape[key] = from[key] + (to[key] - from[key]) * amount;
+    }
+    return shape;
+}
+
+// SVG path for a shape: upper and lower lip curves between the two corners.
+// With upper and lower at 0 both curves coincide and the mouth is a closed line.
+export function mouthPath({ halfWidth, upper, lower, corner }) {
+    const { x, y } = MOUTH_CENTER;
+    const cornerY = y + corner;
+    const left = `${(x - halfWidth).toFixed(2)} ${cornerY.toFixed(2)}`;
+    const right = `${(x + halfWidth).toFixed(2)} ${cornerY.toFixed(2)}`;
+    // A quadratic curve peaks halfway to its control point, hence the doubling
+    return `M ${left} Q ${x} ${(y - 2 * upper).toFixed(2)} ${right} Q ${x} ${(y + 2 * lower).toFixed(2)} ${left} Z`;
+}
@@ -0,0 +1,146 @@
+// Voice activity detection on the microphone, for hands-free conversation and recorded turns.
+//
+// Compares the mic's loudness against a slowly adapting noise floor and reports when the visitor
+// starts and stops talking. The hangover (SILENCE_MS) keeps short pauses between words from
+// ending the turn.
+
+// How often the mic level is checked
+const POLL_INTERVAL_MS = 30;
+// Speech must stay above the threshold this long to count, so clicks and bumps are ignored
+const MIN_SPEECH_MS = 150;
+// Silence this long after speech ends the turn
+const SILENCE_MS = 900;
+// Speech threshold as a multiple of the noise floor, and the lowest it may go (RMS)
+const SPEECH_RATIO = 3;
+const MIN_THRESHOLD = 0.015;
+// Noise floor smoothing per poll: falls quickly to quieter rooms, rises slowly so speech isn't absorbed
+const FLOOR_FALL = 0.2;
+const FLOOR_RISE = 0.005;
+
+// While the guide is talking its own voice can leak from the speakers into the mic despite echo
+// cancellation, so barge-in needs the visitor to be clearly louder and longer
+const STRICT_RATIO = 2;
+const STRICT_MIN_SPEECH_MS = 350;
+
+export class VoiceActivityDetector {
+    // getAudioContext() returns a running AudioContext to analyse in (see AudioService)
+    constructor(getAudioContext, { onSpeechStart = null, onSpeechEnd = null } = {}) {
+        this.getAudioContext = getAudioContext;
+        this.onSpeechStart = onSpeechStart;
+        this.onSpeechEnd = onSpeechEnd;
+
+        this.stream = null;
+        this.ownsStream = false;
+        this.source = null;
+        this.analyser = null;
+        this.samples = null;
+        this.timer = null;
+
+        this.noiseFloor = MIN_THRESHOLD / SPEECH_RATIO;
+        this.isSpeaking = false;
+        this.strict = false;
+        this.aboveSince = null;
+        this.belowSince = null;
+    }
+
+    get isRunning() {
+        return this.timer !== null;
+    }
+
+    // Starts listening to stream, or asks for the microphone when none is given (the detector
+    // then also releases it on stop). Rejects if access is denied or unsupported.
+    async start(stream = null) {
+        if (this.isRunning) return;
+        if (!stream && (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)) {
+            throw new Error('Microphone access is not supported in this browser');
+        }
+
+        const context = this.getAudioContext();
+        if (!context) {
+            throw new Error('Web Audio is not supported in this browser');
+        }
+        if (context.state === 'suspended') await context.resume();
+
+        this.ownsStream = !stream;
+        this.stream = stream || await openMicrophone();
+        this.source = context.createMediaStreamSource(this.stream);
+        // Not connected to the destination - the visitor shouldn't hear themselves
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.source.connect(this.analyser);
+
+        this.reset();
+        this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream && this.ownsStream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.analyser = null;
+        this.reset();
+    }
+
+    // Strict mode is for barge-in while the guide is speaking (see STRICT_RATIO)
+    setStrict(strict) {
+        this.strict = strict;
+    }
+
+    // Forgets any speech in progress without reporting its end
+    reset() {
+        this.isSpeaking = false;
+        this.aboveSince = null;
+        this.belowSince = null;
+    }
+
+    poll() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        let sum = 0;
+        for (const sample of this.samples) sum += sample * sample;
+        const rms = Math.sqrt(sum / this.samples.length);
+        const time = performance.now();
+
+        const ratio = SPEECH_RATIO * (this.strict ? STRICT_RATIO : 1);
+        const threshold = Math.max(MIN_THRESHOLD, this.noiseFloor * ratio);
+        const minSpeechMs = this.strict ? STRICT_MIN_SPEECH_MS : MIN_SPEECH_MS;
+
+        if (rms > threshold) {
+            this.belowSince = null;
+            if (this.aboveSince === null) this.aboveSince = time;
+            if (!this.isSpeaking && time - this.aboveSince >= minSpeechMs) {
+                this.isSpeaking = true;
+                if (this.onSpeechStart) this.onSpeechStart();
+            }
+            return;
+        }
+
+        this.aboveSince = null;
+        // Only learn the floor from non-speech, or a long monologue would raise it
+        if (!this.isSpeaking) {
+            const rate = rms < this.noiseFloor ? FLOOR_FALL : FLOOR_RISE;
+            this.noiseFloor += (rms - this.noiseFloor) * rate;
+            return;
+        }
+
+        if (this.belowSince === null) this.belowSince = time;
+        if (time - this.belowSince >= SILENCE_MS) {
+            this.reset();
+            if (this.onSpeechEnd) this.onSpeechEnd();
+        }
+    }
+}
+
+// Microphone stream tuned for speech
+export function openMicrophone() {
+    return navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+    });
+}
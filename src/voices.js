@@ -0,0 +1,68 @@
+// Choosing the guide's voice: the visitor's saved ElevenLabs voice, and the closest browser
+// voice for the Web Speech fallback.
+
+const VOICE_STORAGE_KEY = 'xfast.voiceId';
+
+// Browsers don't report a voice's gender, but their names usually give it away
+const FEMALE_VOICE_PATTERN = /female|woman|\b(samantha|victoria|karen|moira|tessa|fiona|serena|allison|ava|susan|zira|aria|jenny|hazel|libby|sonia|xiaoxiao|xiaoyi|huihui|yaoyao)\b|ting-?ting|mei-?jia|sin-?ji|google 普通话/i;
+const MALE_VOICE_PATTERN = /\b(male|man|daniel|alex|fred|tom|aaron|arthur|oliver|david|mark|george|guy|ryan|james|kangkang|yunxi|yunyang|yunjian)\b/i;
+
+// The voice id the visitor picked, or null for the default
+export function loadVoicePreference() {
+    try {
+        return window.localStorage.getItem(VOICE_STORAGE_KEY);
+    } catch (e) {
+        return null;
+    }
+}
+
+export function saveVoicePreference(voiceId) {
+    try {
+        if (voiceId) {
+            window.localStorage.setItem(VOICE_STORAGE_KEY, voiceId);
+        } else {
+            window.localStorage.removeItem(VOICE_STORAGE_KEY);
+        }
+    } catch (e) {
+        // Storage disabled - the choice just lasts for this visit
+    }
+}
+
+// 'female', 'male' or null when the name doesn't say
+function guessVoiceGender(voice) {
+    if (FEMALE_VOICE_PATTERN.test(voice.name)) return 'female';
+    if (MALE_VOICE_PATTERN.test(voice.name)) return 'male';
+    return null;
+}
+
+// Picks the speechSynthesis voice closest to lang (a BCP 47 tag such as 'zh-CN') and
+// gender ('female' | 'male' | null). Returns null if no voice speaks the language at all,
+// leaving the choice to the browser.
+export function pickWebSpeechVoice(voices, { lang, gender = null }) {
+    const wanted = lang.toLowerCase().replace('_', '-');
+    const primary = wanted.split('-')[0];
+
+    let best = null;
+    let bestScore = 0;
+    for (const voice of voices) {
+        const voiceLang = voice.lang.toLowerCase().replace('_', '-');
+        let score;
+        if (voiceLang === wanted) score = 4;
+        else if (voiceLang.split('-')[0] === primary) score = 2;
+        else continue;
+
+        if (gender) {
+            const voiceGender = guessVoiceGender(voice);
+            if (voiceGender === gender) score += 1.5;
+            else if (voiceGender) score -= 1.5;
+        }
+        // Local voices start instantly and report word boundaries more reliably
+        if (voice.localService) score += 0.25;
+
+        if (score > bestScore) {
+            best = voice;
+            bestScore = score;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectIntent } from '../src/fallbackCurator.js';
+
+const CASES = [
+    ['yes', 'accept'],
+    ['Yeah, go for it', 'accept'],
+    ['sure!', 'accept'],
+    ['ok', 'accept'],
+    ['please', 'accept'],
+    ['好', 'accept'],
+    ['好的', 'accept'],
+    ['可以啊', 'accept'],
+    ['行吧', 'accept'],
+    ['no thanks', 'decline'],
+    ['nope', 'decline'],
+    ['not really', 'decline'],
+    ['sure, but not this one', 'decline'],
+    ["I don't want to see that", 'decline'],
+    ['算了', 'decline'],
+    ['我不喜欢这个', 'decline'],
+    ['another one please', 'next'],
+    ["I'd like something different", 'next'],
+    ["don't stop, show me more", 'next'],
+    ['我想看别的', 'next'],
+    ['换一个', 'next'],
+    ['surprise me', 'show'],
+    ['you pick', 'show'],
+    ['随便', 'show'],
+    ['你好', null],
+    ['我喜欢旅行', null],
+    ['I like street photography', null],
+    ['', null]
+];
+
+for (const [text, intent] of CASES) {
+    test(`detectIntent(${JSON.stringify(text)}) is ${intent}`, () => {
+        assert.equal(detectIntent(text), intent);
+    });
+}
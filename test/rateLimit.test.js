@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucketLimiter, MemoryStore, configureRateLimitStore, checkRateLimit, sendRateLimited, IP_SCALE } from '../api/_lib/rateLimit.js';
+
+// Bursts of 2, then one token per second
+function createLimiter() {
+    configureRateLimitStore(new MemoryStore());
+    return new TokenBucketLimiter({ name: 'test', capacity: 2, refillPerSecond: 1 });
+}
+
+function createRequest(ip, sessionId) {
+    const headers = { 'x-forwarded-for': ip };
+    if (sessionId) headers['x-session-id'] = sessionId;
+    return { headers };
+}
+
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+}
+
+test('a bucket allows its burst and then refuses with the seconds until the next token', async () => {
+    const limiter = createLimiter();
+    assert.equal((await limiter.consume('a')).allowed, true);
+    assert.equal((await limiter.consume('a')).allowed, true);
+
+    const refused = await limiter.consume('a');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 0);
+    assert.equal(refused.retryAfter, 1);
+
+    // Costs larger than one token wait for all of them
+    assert.equal((await limiter.consume('b', 2)).allowed, true);
+    assert.equal((await limiter.consume('b', 2)).retryAfter, 2);
+});
+
+test('a bucket refills at its sustained rate up to its capacity', async (t) => {
+    const limiter = createLimiter();
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    await limiter.consume('a', 2);
+    assert.equal((await limiter.consume('a')).allowed, false);
+
+    now += 1000;
+    assert.equal((await limiter.consume('a')).allowed, true);
+    assert.equal((await limiter.consume('a')).allowed, false);
+
+    // A long pause refills no more than the burst
+    now += 60_000;
+    assert.equal((await limiter.consume('a', 2)).allowed, true);
+    assert.equal((await limiter.consume('a')).allowed, false);
+});
+
+test('per-IP buckets are larger and refill faster than per-session ones', async (t) => {
+    const limiter = createLimiter();
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    // Without a session id only the IP bucket applies
+    const req = createRequest('203.0.113.7');
+    for (let i = 0; i < 2 * IP_SCALE; i++) {
+        assert.equal((await checkRateLimit(req, limiter)).allowed, true);
+    }
+    const refused = await checkRateLimit(req, limiter);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 1);
+
+    // One second brings back IP_SCALE tokens, not one
+    now += 1000;
+    for (let i = 0; i < IP_SCALE; i++) {
+        assert.equal((await checkRateLimit(req, limiter)).allowed, true);
+    }
+    assert.equal((await checkRateLimit(req, limiter)).allowed, false);
+
+    // Other addresses have buckets of their own
+    assert.equal((await checkRateLimit(createRequest('198.51.100.1'), limiter)).allowed, true);
+});
+
+test('a session runs out before the IP it shares', async () => {
+    const limiter = createLimiter();
+    const first = createRequest('203.0.113.7', 'session-one');
+    const second = createRequest('203.0.113.7', 'session-two');
+
+    assert.equal((await checkRateLimit(first, limiter)).allowed, true);
+    assert.equal((await checkRateLimit(first, limiter)).allowed, true);
+    assert.equal((await checkRateLimit(first, limiter)).allowed, false);
+
+    // The IP bucket still has room for another visitor behind the same address
+    assert.equal((await checkRateLimit(second, limiter)).allowed, true);
+});
+
+test('sendRateLimited answers 429 with Retry-After', () => {
+    const res = createResponse();
+    sendRateLimited(res, { allowed: false, remaining: 0, retryAfter: 7 }, 'Slow down');
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['retry-after'], '7');
+    assert.deepEqual(res.body, { error: 'Slow down', retryAfter: 7 });
+});
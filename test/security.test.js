@@ -0,0 +1,149 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { withApiSecurity, isOriginAllowed } from '../api/_lib/security.js';
+
+const ENV_NAMES = ['ALLOWED_ORIGINS', 'VERCEL_ENV', 'VERCEL_URL', 'VERCEL_BRANCH_URL'];
+let savedEnv;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+    for (const name of ENV_NAMES) delete process.env[name];
+    process.env.ALLOWED_ORIGINS = 'https://beta.xiaotianfanx.com,https://xiaotianfanx.com';
+});
+
+afterEach(() => {
+    for (const name of ENV_NAMES) {
+        if (savedEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = savedEnv[name];
+    }
+});
+
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        ended: false,
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            res.ended = true;
+            return res;
+        },
+        end() {
+            res.ended = true;
+            return res;
+        }
+    };
+    return res;
+}
+
+// Runs a request through a wrapped handler; handled tells whether the handler itself was reached
+async function send({ method = 'POST', headers = {} } = {}, options) {
+    let handled = false;
+    const secured = withApiSecurity((req, res) => {
+        handled = true;
+        return res.status(200).json({ ok: true });
+    }, options);
+    const res = createResponse();
+    await secured({ method, headers }, res);
+    return { res, handled };
+}
+
+test('an allowed origin is let through with CORS and security headers', async () => {
+    const { res, handled } = await send({ headers: { origin: 'https://beta.xiaotianfanx.com' } });
+    assert.equal(handled, true);
+    assert.equal(res.headers['access-control-allow-origin'], 'https://beta.xiaotianfanx.com');
+    assert.equal(res.headers['access-control-allow-credentials'], 'true');
+    assert.equal(res.headers['x-content-type-options'], 'nosniff');
+    assert.equal(res.headers['vary'], 'Origin');
+});
+
+test('look-alike hosts are refused', async () => {
+    for (const origin of [
+        'https://beta.xiaotianfanx.com.evil.io',
+        'https://evilbeta.xiaotianfanx.com',
+        'http://beta.xiaotianfanx.com',
+        'https://beta.xiaotianfanx.com:8443'
+    ]) {
+        const { res, handled } = await send({ headers: { origin } });
+        assert.equal(handled, false, origin);
+        assert.equal(res.statusCode, 403, origin);
+        assert.equal(res.headers['access-control-allow-origin'], undefined, origin);
+    }
+});
+
+test('the Referer stands in for a missing Origin', async () => {
+    const allowed = await send({ headers: { referer: 'https://xiaotianfanx.com/works/some-project?x=1' } });
+    assert.equal(allowed.handled, true);
+    assert.equal(allowed.res.headers['access-control-allow-origin'], 'https://xiaotianfanx.com');
+
+    const refused = await send({ headers: { referer: 'https://xiaotianfanx.com.evil.io/' } });
+    assert.equal(refused.handled, false);
+    assert.equal(refused.res.statusCode, 403);
+});
+
+test('loopback origins are allowed outside production only', async () => {
+    const local = await send({ headers: { origin: 'http://localhost:5173' } });
+    assert.equal(local.handled, true);
+    assert.equal(isOriginAllowed('http://127.0.0.1:3000'), true);
+
+    process.env.VERCEL_ENV = 'production';
+    const production = await send({ headers: { origin: 'http://localhost:5173' } });
+    assert.equal(production.handled, false);
+    assert.equal(production.res.statusCode, 403);
+    assert.equal(isOriginAllowed('http://127.0.0.1:3000'), false);
+});
+
+test('a request without an origin is refused in production only', async () => {
+    const development = await send();
+    assert.equal(development.handled, true);
+    assert.equal(development.res.headers['access-control-allow-origin'], undefined);
+
+    process.env.VERCEL_ENV = 'production';
+    const production = await send();
+    assert.equal(production.handled, false);
+    assert.equal(production.res.statusCode, 403);
+    assert.ok(production.res.headers['strict-transport-security']);
+});
+
+test("the deployment's own URL is allowed", async () => {
+    process.env.VERCEL_ENV = 'production';
+    process.env.VERCEL_URL = 'portfolio-abc123.vercel.app';
+    const { handled } = await send({ headers: { origin: 'https://portfolio-abc123.vercel.app' } });
+    assert.equal(handled, true);
+});
+
+test('preflight requests are answered without reaching the handler', async () => {
+    const origin = 'https://beta.xiaotianfanx.com';
+    const allowed = await send({ method: 'OPTIONS', headers: { origin, 'access-control-request-method': 'POST' } });
+    assert.equal(allowed.handled, false);
+    assert.equal(allowed.res.statusCode, 204);
+    assert.equal(allowed.res.headers['access-control-allow-methods'], 'POST, OPTIONS');
+    assert.equal(allowed.res.headers['access-control-max-age'], '600');
+
+    const wrongMethod = await send({ method: 'OPTIONS', headers: { origin, 'access-control-request-method': 'DELETE' } });
+    assert.equal(wrongMethod.handled, false);
+    assert.equal(wrongMethod.res.statusCode, 405);
+    assert.equal(wrongMethod.res.headers['allow'], 'POST, OPTIONS');
+
+    const foreign = await send({ method: 'OPTIONS', headers: { origin: 'https://evil.io', 'access-control-request-method': 'POST' } });
+    assert.equal(foreign.res.statusCode, 403);
+});
+
+test('methods the route does not take get 405', async () => {
+    const origin = 'https://beta.xiaotianfanx.com';
+    const get = await send({ method: 'GET', headers: { origin } });
+    assert.equal(get.handled, false);
+    assert.equal(get.res.statusCode, 405);
+    assert.equal(get.res.headers['allow'], 'POST, OPTIONS');
+
+    const allowed = await send({ method: 'GET', headers: { origin } }, { methods: ['GET'] });
+    assert.equal(allowed.handled, true);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeechQueue, splitSpeechChunks } from '../src/speechQueue.js';
+
+const REPLY = 'Here is the first sentence of the reply, long enough to stand alone. ' +
+    'And here is a second one that should never be heard after the interruption. ' +
+    'A third sentence closes the reply and opens the project.';
+
+// Stands in for AudioService: clips resolve at once and play until finishPlaying() is called
+function createFakeAudio() {
+    const audio = {
+        playing: null,
+        played: [],
+        cancelled: 0,
+        prepareSpeech: async (text) => ({ text }),
+        playClip(clip, onStart, onEnd) {
+            audio.played.push(clip.text);
+            audio.playing = { onEnd };
+            onStart();
+        },
+        speakWithWebSpeechAPI() {
+            throw new Error('unexpected fallback');
+        },
+        discardClip() {},
+        cancelSpeech() {
+            audio.cancelled++;
+            audio.playing = null;
+        },
+        pauseSpeech() {},
+        resumeSpeech() {},
+        finishPlaying() {
+            const { onEnd } = audio.playing;
+            audio.playing = null;
+            onEnd();
+        }
+    };
+    return audio;
+}
+
+// Lets pending clip promises resolve
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('splits a reply into sentence chunks with offsets into the reply', () => {
+    const chunks = splitSpeechChunks(REPLY);
+    assert.equal(chunks.length, 3);
+    for (const chunk of chunks) {
+        assert.equal(REPLY.slice(chunk.offset, chunk.offset + chunk.text.length), chunk.text);
+    }
+});
+
+test('splits Chinese replies by speaking time, not by character count', () => {
+    const reply = '这件作品讲的是记忆的褪色。它用旧照片拼成了影像。你会走进作者的童年。想现在就去看看这件作品吗？';
+    const chunks = splitSpeechChunks(reply);
+    assert.ok(chunks.length > 1, `${reply.length} characters in ${chunks.length} chunk`);
+    assert.equal(chunks.map(chunk => chunk.text).join(''), reply);
+    for (const chunk of chunks) {
+        assert.equal(reply.slice(chunk.offset, chunk.offset + chunk.text.length), chunk.text);
+    }
+});
+
+test('speaks the chunks in order and ends after the last', async () => {
+    const audio = createFakeAudio();
+    let ended = 0;
+    const queue = new SpeechQueue(audio, { onEnd: () => ended++ });
+
+    queue.finish(REPLY);
+    for (let i = 0; i < 3; i++) {
+        await settle();
+        assert.equal(ended, 0);
+        audio.finishPlaying();
+    }
+
+    assert.deepEqual(audio.played, splitSpeechChunks(REPLY).map(chunk => chunk.text));
+    assert.equal(ended, 1);
+});
+
+test('cancelling mid-queue still settles the reply so its action runs', async () => {
+    const audio = createFakeAudio();
+    const actions = [];
+    const queue = new SpeechQueue(audio, { onEnd: () => actions.push('present') });
+
+    queue.finish(REPLY);
+    await settle();
+    assert.equal(audio.played.length, 1);
+
+    queue.cancel();
+    await settle();
+
+    assert.deepEqual(actions, ['present']);
+    assert.equal(audio.played.length, 1, 'the rest of the reply is not spoken');
+    assert.equal(audio.playing, null);
+    assert.equal(queue.isActive, false);
+});
+
+test('a reply cancelled while streaming settles once it is complete', async () => {
+    const audio = createFakeAudio();
+    const actions = [];
+    const queue = new SpeechQueue(audio, { onEnd: () => actions.push('present') });
+
+    queue.update(REPLY.slice(0, 90));
+    await settle();
+    assert.equal(audio.played.length, 1);
+
+    queue.cancel();
+    assert.deepEqual(actions, [], 'the action is not known until the reply is complete');
+
+    queue.update(REPLY.slice(0, 120));
+    queue.finish(REPLY);
+    await settle();
+
+    assert.deepEqual(actions, ['present']);
+    assert.equal(audio.played.length, 1);
+});